@@ -0,0 +1,158 @@
+/**
+ * Abstractive Summaries for OpenClaw News
+ * Sends a story's headlines and descriptions to a summarization endpoint on
+ * the OpenClaw gateway and gets back a one-paragraph synthesis.
+ *
+ * Request (POST, JSON):
+ *   { "task": "summarize", "instructions": "...", "maxTokens": 160, "model": null,
+ *     "input": { "headlines": ["..."], "descriptions": ["..."] } }
+ *
+ * Response (JSON), any of:
+ *   { "summary": "...", "usage": { "inputTokens": 120, "outputTokens": 60 } }
+ *   { "text": "..." }
+ *   { "result": { "summary": "..." } }
+ *
+ * Each run has a token budget; summaries are cached on disk keyed by the
+ * cluster's content, so an unchanged story costs nothing on the next run.
+ * Callers fall back to extractive summaries on any error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { request, assertOk } = require('./http-client');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const INSTRUCTIONS = 'Write one neutral, factual paragraph (2-3 sentences) synthesizing what these reports say. ' +
+  'Use only the information given; do not speculate or add opinions.';
+
+function summarizerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Rough token count (~4 characters per token) for budgeting
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * The parts of a story sent for summarization, deduplicated
+ */
+function clusterContent(story) {
+  const unique = values => [...new Set(values.map(v => (v || '').trim()).filter(Boolean))];
+  return {
+    headlines: unique([story.headline, ...(story.articles || []).map(a => a.title)]),
+    descriptions: unique((story.articles || []).map(a => a.description))
+  };
+}
+
+/**
+ * Cache key: same headlines and descriptions (in any order) -> same key
+ */
+function cacheKey(content, model) {
+  const parts = [model || '', ...[...content.headlines].sort(), '', ...[...content.descriptions].sort()];
+  return crypto.createHash('sha1').update(parts.join('\n')).digest('hex');
+}
+
+function readCache(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a summarizer for one run
+ * options: { url, token, model, timeout, maxTokensPerRun, maxOutputTokens, cacheFile, cacheTtlHours, now }
+ * Returns { summarize(story), saveCache(), tokensUsed }
+ */
+function createAbstractiveSummarizer(options) {
+  const now = options.now ?? Date.now();
+  const ttlMs = (options.cacheTtlHours ?? 72) * HOUR_MS;
+  const maxOutputTokens = options.maxOutputTokens ?? 160;
+  const budget = options.maxTokensPerRun ?? 4000;
+
+  // Drop expired entries up front so they are neither served nor rewritten
+  const cache = {};
+  for (const [key, entry] of Object.entries(readCache(options.cacheFile))) {
+    if (entry?.summary && now - new Date(entry.createdAt).getTime() < ttlMs) cache[key] = entry;
+  }
+  let dirty = false;
+  let tokensUsed = 0;
+
+  async function summarize(story) {
+    const content = clusterContent(story);
+    const key = cacheKey(content, options.model);
+    if (cache[key]) return { summary: cache[key].summary, cached: true, tokens: 0 };
+
+    const body = {
+      task: 'summarize',
+      instructions: INSTRUCTIONS,
+      maxTokens: maxOutputTokens,
+      model: options.model || null,
+      input: content
+    };
+    const payload = JSON.stringify(body);
+    const estimate = estimateTokens(INSTRUCTIONS) + estimateTokens(JSON.stringify(content)) + maxOutputTokens;
+    if (tokensUsed + estimate > budget) {
+      throw summarizerError(`Token budget exhausted (${tokensUsed}/${budget} used)`, 'EBUDGET');
+    }
+
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (options.token) headers['Authorization'] = `Bearer ${options.token}`;
+
+    // Charge the estimate up front: a timed-out request may still have cost tokens
+    tokensUsed += estimate;
+    const response = assertOk(await request(options.url, {
+      method: 'POST',
+      headers,
+      body: payload,
+      timeout: options.timeout ?? 20000
+    }));
+
+    const data = JSON.parse(response.body);
+    const summary = String(data.summary ?? data.text ?? data.result?.summary ?? '').replace(/\s+/g, ' ').trim();
+    if (!summary) throw summarizerError('Empty summary in response', 'EEMPTY');
+
+    // Reconcile the estimate with reported usage when the endpoint gives it
+    const usage = data.usage || {};
+    const reported = usage.totalTokens ?? (Number.isFinite(usage.inputTokens) ? usage.inputTokens + (usage.outputTokens || 0) : null);
+    const tokens = Number.isFinite(reported) ? reported : estimate;
+    tokensUsed += tokens - estimate;
+
+    cache[key] = { summary, createdAt: new Date(now).toISOString() };
+    dirty = true;
+    return { summary, cached: false, tokens };
+  }
+
+  function saveCache() {
+    if (!options.cacheFile || !dirty) return;
+    fs.mkdirSync(path.dirname(options.cacheFile), { recursive: true });
+    const tmp = `${options.cacheFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache));
+    fs.renameSync(tmp, options.cacheFile);
+    dirty = false;
+  }
+
+  return {
+    summarize,
+    saveCache,
+    get tokensUsed() {
+      return tokensUsed;
+    }
+  };
+}
+
+module.exports = {
+  createAbstractiveSummarizer,
+  clusterContent,
+  cacheKey,
+  estimateTokens
+};
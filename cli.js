@@ -0,0 +1,292 @@
+/**
+ * Command-Line Interface for OpenClaw News
+ * Parses `node fetch-news.js <command> [options]` and runs the command.
+ *
+ * With --json, commands print one JSON document on stdout and all progress
+ * logging goes to stderr, so the output can be piped straight into jq.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const news = require('./fetch-news');
+const { formatInZone } = require('./cron');
+
+const { colors } = news;
+
+const USAGE = `Usage: node fetch-news.js [command] [options]
+
+Commands:
+  send                  Fetch, write the outputs and deliver the digest (default)
+  fetch                 Fetch and write the outputs, deliver nothing
+  preview               Print the digest; writes and sends nothing
+      --format <f>        markdown (default), plain, html, json, rss or atom
+      --recipient <name>  Preview one recipient's digest
+  sources list          List the configured sources
+  sources test <name>   Fetch one source and show raw vs filtered headlines
+  config validate       Check the config for errors
+  send-pending          Retry messages waiting in the outbox
+  site build            Build the static archive site from archived digests
+  schedule [count]      Show the next scheduled runs
+  daemon                Keep running and fetch on the cron schedule
+
+Options:
+  --config <file>       Config file (default: news-config.json beside fetch-news.js)
+  --env <name>          Also apply <config>.<name>.json overrides (same as NEWS_ENV)
+  --out-dir <dir>       Write the output files (or the site) to this directory
+  --dry-run             Show what would be written and sent, without doing it
+  --json                Print JSON on stdout (logs go to stderr)
+  --no-send             Same as the fetch command
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  env: { type: 'string' },
+  'out-dir': { type: 'string' },
+  'dry-run': { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  'no-send': { type: 'boolean', default: false },
+  format: { type: 'string' },
+  recipient: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'EUSAGE';
+  return error;
+}
+
+/**
+ * Split argv into a command name, its arguments and the flags
+ * Returns { command, args, flags }
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const [command = 'send', ...args] = parsed.positionals;
+  return { command, args, flags: parsed.values };
+}
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Command line for each daemon run: the same config and output flags
+ */
+function pipelineArgs(flags) {
+  const args = [flags['no-send'] ? 'fetch' : 'send'];
+  if (flags.config) args.push('--config', path.resolve(flags.config));
+  if (flags['out-dir']) args.push('--out-dir', path.resolve(flags['out-dir']));
+  if (flags['dry-run']) args.push('--dry-run');
+  return args;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * fetch / send: run the pipeline
+ */
+async function runPipeline(flags, send) {
+  const summary = await news.main({ send, dryRun: flags['dry-run'], outDir: flags['out-dir'] || null });
+  if (flags.json) printJson(summary);
+  return 0;
+}
+
+async function previewCommand(args, flags) {
+  const format = flags.format || (flags.json ? 'json' : undefined);
+  process.stdout.write(`${await news.preview({ format, recipient: flags.recipient })}\n`);
+  return 0;
+}
+
+function findSource(name) {
+  const source = (news.config.sources || []).find(s => s.name.toLowerCase() === String(name).toLowerCase());
+  if (!source) {
+    const names = (news.config.sources || []).map(s => s.name).join(', ');
+    throw usageError(`No source named "${name}" (have: ${names || 'none'})`);
+  }
+  return source;
+}
+
+async function sourcesCommand([action, ...rest], flags) {
+  if (action === 'list') {
+    const sources = (news.config.sources || []).map(source => ({
+      name: source.name,
+      enabled: !!source.enabled,
+      type: source.type === 'api' ? source.api : 'feed',
+      maxHeadlines: source.maxHeadlines,
+      url: source.url || null,
+      query: source.query || null
+    }));
+    if (flags.json) {
+      printJson(sources);
+      return 0;
+    }
+    const width = Math.max(...sources.map(s => s.name.length), 4);
+    console.log(`${colors.cyan}Sources (${sources.filter(s => s.enabled).length}/${sources.length} enabled):${colors.reset}`);
+    for (const s of sources) {
+      const mark = s.enabled ? `${colors.green}✓${colors.reset}` : `${colors.yellow}✗${colors.reset}`;
+      const where = s.url || (s.query ? `query: "${s.query}"` : '');
+      console.log(`  ${mark} ${s.name.padEnd(width)}  ${s.type.padEnd(5)}  ${String(s.maxHeadlines).padStart(2)}  ${where}`);
+    }
+    return 0;
+  }
+
+  if (action === 'test') {
+    if (rest.length === 0) throw usageError('sources test needs a source name');
+    const source = findSource(rest.join(' '));
+    // Test it even if it is disabled in the config
+    const result = await news.testSource({ ...source, enabled: true });
+    if (flags.json) {
+      printJson(result);
+      return result.error ? 1 : 0;
+    }
+    if (result.error) {
+      console.log(`${colors.red}✗ ${source.name}: ${result.error}${colors.reset}`);
+      return 1;
+    }
+    const cacheNote = result.notModified ? ' (not modified, from cache)' : '';
+    console.log(`${colors.cyan}${source.name}: ${result.items.length} raw headlines, ${result.kept} kept${cacheNote}${colors.reset}`);
+    for (const item of result.items) {
+      if (item.kept) console.log(`  ${colors.green}✓${colors.reset} ${item.title}`);
+      else console.log(`  ${colors.yellow}✗${colors.reset} ${item.title} ${colors.yellow}- ${item.reason}${colors.reset}`);
+    }
+    return 0;
+  }
+
+  throw usageError(`Unknown sources command "${action || ''}" (use list or test <name>)`);
+}
+
+function configCommand([action], flags, files, loadError) {
+  if (action !== 'validate') throw usageError(`Unknown config command "${action || ''}" (use validate)`);
+  const errors = loadError ? (loadError.errors || [loadError.message]) : news.validateConfig();
+  const loaded = loadError ? (loadError.files || []) : files;
+  if (flags.json) {
+    printJson({ files: loaded, valid: errors.length === 0, errors });
+  } else if (errors.length === 0) {
+    console.log(`${colors.green}✓ Config is valid: ${loaded.join(' + ')}${colors.reset}`);
+  } else {
+    console.log(`${colors.red}✗ ${errors.length} problem(s) in ${(loaded.length ? loaded : files).join(' + ')}:${colors.reset}`);
+    errors.forEach(error => console.log(`  - ${error}`));
+  }
+  return errors.length === 0 ? 0 : 1;
+}
+
+async function sendPendingCommand(args, flags) {
+  const result = await news.sendPending();
+  if (flags.json) {
+    printJson(result
+      ? Object.fromEntries(Object.entries(result).map(([key, entries]) => [key, entries.length]))
+      : { enabled: false });
+  }
+  return result && (result.failed.length || result.held.length) ? 1 : 0;
+}
+
+function siteCommand([action], flags) {
+  if (action !== 'build') throw usageError(`Unknown site command "${action || ''}" (use build)`);
+  const site = news.buildArchiveSite({ dir: flags['out-dir'] || null });
+  if (flags.json) {
+    printJson(site);
+  } else {
+    console.log(`${colors.green}✓ Site built in ${site.dir}: ${site.days} days, ${site.pages} pages${site.removed ? `, ${site.removed} removed` : ''}${colors.reset}`);
+  }
+  return 0;
+}
+
+function scheduleCommand([count], flags) {
+  const planned = news.plannedRuns(parseInt(count, 10) || 5);
+  if (flags.json) {
+    printJson({ ...planned, runs: planned.runs.map(ms => new Date(ms).toISOString()) });
+    return 0;
+  }
+  console.log(`${colors.cyan}Schedule: ${planned.expression} (${planned.timezone})${planned.enabled ? '' : ' - disabled'}${colors.reset}`);
+  for (const ms of planned.runs) {
+    console.log(`  ${formatInZone(ms, planned.timezone)}  ${new Date(ms).toISOString()}`);
+  }
+  return 0;
+}
+
+async function daemonCommand(args, flags) {
+  await news.runDaemon(pipelineArgs(flags));
+  return 0;
+}
+
+const COMMANDS = {
+  send: (args, flags) => runPipeline(flags, !flags['no-send']),
+  fetch: (args, flags) => runPipeline(flags, false),
+  preview: previewCommand,
+  sources: sourcesCommand,
+  config: configCommand,
+  'send-pending': sendPendingCommand,
+  site: siteCommand,
+  schedule: scheduleCommand,
+  daemon: daemonCommand,
+  help: () => {
+    console.log(USAGE);
+    return 0;
+  }
+};
+
+/**
+ * Run a command line; resolves to the process exit code
+ */
+async function execute(argv) {
+  const { command, args, flags } = parseCommandLine(argv);
+  if (flags.help) return COMMANDS.help();
+  if (!COMMANDS[command]) throw usageError(`Unknown command "${command}"`);
+
+  // Keep stdout clean for JSON and previews
+  const log = console.log;
+  if (flags.json || command === 'preview') console.log = console.error;
+  try {
+    return await runCommand(command, args, flags);
+  } finally {
+    console.log = log;
+  }
+}
+
+async function runCommand(command, args, flags) {
+  // Selects the news-config.<env>.json layer, here and in daemon runs
+  if (flags.env) process.env.NEWS_ENV = flags.env;
+
+  const configPath = path.resolve(flags.config || path.join(__dirname, 'news-config.json'));
+  let files = [configPath];
+  let loadError = null;
+  try {
+    files = news.useConfig(configPath);
+  } catch (error) {
+    if (command !== 'config') throw new Error(`Error loading config ${configPath}: ${error.message}`);
+    loadError = error;
+  }
+
+  return COMMANDS[command](args, flags, files, loadError);
+}
+
+/**
+ * Entry point for `node fetch-news.js`
+ */
+function run(argv) {
+  execute(argv).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+    if (error.code === 'EUSAGE') {
+      console.error(`\n${USAGE}`);
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = {
+  parseCommandLine,
+  execute,
+  run
+};
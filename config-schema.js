@@ -0,0 +1,473 @@
+/**
+ * Config Schema for OpenClaw News
+ * Declares every setting in news-config.json with its type and default,
+ * and loads the config in layers:
+ *
+ *   news-config.json            base config
+ *   news-config.<NEWS_ENV>.json per-environment overrides (if NEWS_ENV is set)
+ *   news-config.local.json      machine-local overrides (not committed)
+ *
+ * Later layers are deep-merged over earlier ones: objects merge key by key,
+ * arrays and other values replace. Any string may use ${VAR} or
+ * ${VAR:-default}; a substituted string in a number or boolean setting is
+ * converted to that type.
+ *
+ * Problems are reported together, each with its path:
+ *   sources[2].maxHeadline is not a known setting (did you mean "maxHeadlines"?)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+const str = (options = {}) => ({ type: 'string', ...options });
+const num = (options = {}) => ({ type: 'number', ...options });
+const int = (options = {}) => ({ type: 'number', integer: true, ...options });
+const bool = (options = {}) => ({ type: 'boolean', ...options });
+const arr = (items, options = {}) => ({ type: 'array', items, ...options });
+const obj = (properties, options = {}) => ({ type: 'object', properties, ...options });
+// Free-form object: any keys, values checked against one schema
+const dict = (values, options = {}) => ({ type: 'object', values, ...options });
+const any = (options = {}) => ({ type: 'any', ...options });
+
+const FORMATS = ['markdown', 'json', 'html', 'plain'];
+const OUTPUT_FORMATS = [...FORMATS, 'rss', 'atom'];
+
+const SOURCE = obj({
+  name: str({ required: true }),
+  url: str(),
+  type: str(),
+  api: str(),
+  query: str(),
+  maxHeadlines: int({ min: 1, default: 3 }),
+  enabled: bool({ default: true })
+});
+
+const RECIPIENT = obj({
+  name: str(),
+  channel: str(),
+  target: str({ required: true }),
+  format: str({ enum: FORMATS, default: 'markdown' }),
+  topics: arr(str(), { default: [] }),
+  keywords: arr(str(), { default: [] }),
+  tickers: arr(str(), { default: [] }),
+  maxItems: int({ min: 1, nullable: true }),
+  maxMessageLength: int({ min: 1 }),
+  enabled: bool({ default: true })
+});
+
+const TOPIC_SECTION = obj({
+  id: str({ required: true }),
+  label: str(),
+  quota: int({ min: 0 }),
+  keywords: arr(str(), { default: [] }),
+  entities: arr(str(), { default: [] })
+});
+
+const SCHEMA = obj({
+  name: str(),
+  version: str(),
+  description: str(),
+  outputFile: str(),
+  maxItems: int({ min: 1 }),
+  braveApiKey: str({ default: '' }),
+  userAgent: str({ default: 'Mozilla/5.0 (compatible; OpenClaw/1.0)' }),
+  timeout: int({ min: 1, default: 15000 }),
+  requestDelay: int({ min: 0, default: 2000 }),
+
+  sources: arr(SOURCE, { required: true }),
+
+  filter: obj({
+    minLength: int({ min: 0, default: 40 }),
+    maxLength: int({ min: 1, default: 150 }),
+    excludePatterns: arr(str(), { default: [] }),
+    excludeDomains: arr(str(), { default: [] }),
+    keywords: arr(str(), { default: [] })
+  }, { default: {} }),
+
+  output: obj({
+    formats: arr(str({ enum: OUTPUT_FORMATS }), { default: ['markdown'] }),
+    paths: dict(str()),
+    templates: dict(str()),
+    feed: obj({
+      title: str({ default: 'OpenClaw Morning News' }),
+      link: str({ default: 'https://github.com/clawoneloke/openclaw-news' }),
+      description: str({ default: 'Top stories consolidated from our news sources' }),
+      selfLink: str({ nullable: true }),
+      stateFile: str({ default: '/tmp/news-feed-entries.json' }),
+      maxEntries: int({ min: 1, default: 50 }),
+      maxAgeDays: int({ min: 1, default: 7 })
+    }),
+    latest: bool({ default: true }),
+    retentionDays: int({ min: 1, nullable: true })
+  }),
+
+  site: obj({
+    enabled: bool({ default: false }),
+    dir: str({ default: 'site' }),
+    archive: str(),
+    title: str({ default: 'Morning News Archive' })
+  }),
+
+  http: obj({
+    cacheDir: str({ nullable: true }),
+    conditional: bool({ default: true }),
+    maxBytes: int({ min: 1 }),
+    maxRedirects: int({ min: 0 }),
+    deadline: int({ min: 1 })
+  }),
+
+  cron: obj({
+    schedule: str({ required: true }),
+    timezone: str({ default: 'UTC' }),
+    enabled: bool({ default: true })
+  }),
+
+  notifications: obj({
+    enabled: bool({ default: false }),
+    channel: str({ default: 'whatsapp' }),
+    target: str({ nullable: true }),
+    recipients: arr(RECIPIENT, { default: [] }),
+    channelMarkup: bool({ default: true }),
+    maxMessageLength: int({ min: 1 }),
+    transport: str({ enum: ['http', 'cli'], default: 'http' }),
+    cliPath: str(),
+    gateway: obj({
+      url: str({ nullable: true }),
+      timeout: int({ min: 1 }),
+      retries: int({ min: 0 }),
+      backoffMs: int({ min: 0 })
+    }),
+    receiptsFile: str({ nullable: true }),
+    outbox: obj({
+      enabled: bool({ default: true }),
+      dir: str({ default: '/tmp/news-outbox' }),
+      expiryHours: num({ min: 0, default: 12 }),
+      maxAttempts: int({ min: 1, default: 10 }),
+      lockWaitSeconds: num({ min: 0, default: 30 })
+    })
+  }),
+
+  entities: obj({
+    enabled: bool({ default: true }),
+    useBundled: bool(),
+    dictionaries: arr(str(), { default: [] }),
+    extra: arr(obj({ ticker: str(), name: str(), exchange: str(), aliases: arr(str()) })),
+    scanDescriptions: bool({ default: false }),
+    clusteringWeight: num({ min: 0, default: 0.2 })
+  }),
+
+  consolidation: obj({
+    maxItems: int({ min: 1 }),
+    similarityThreshold: num({ min: 0, max: 1, default: 0.5 }),
+    similarity: str({ enum: ['jaccard', 'tfidf'], default: 'jaccard' }),
+    linkage: str({ enum: ['single', 'average', 'complete'], default: 'average' }),
+    headline: obj({
+      strategy: str({ enum: ['centroid', 'sourcePriority', 'shortest', 'longest'], default: 'centroid' }),
+      sourcePriority: arr(str(), { default: [] }),
+      stripPublisherSuffix: bool({ default: true }),
+      publishers: arr(str(), { default: [] }),
+      stripTitleCaseSuffix: bool({ default: false })
+    }),
+    normalization: obj({
+      stemming: bool({ default: true }),
+      numbers: bool({ default: true }),
+      useDefaultSynonyms: bool({ default: true }),
+      synonyms: dict(str(), { default: {} })
+    }),
+    scoring: obj({
+      sourceCountWeight: num({ default: 2.0 }),
+      recencyWeight: num({ default: 1.0 }),
+      recencyHalfLifeHours: num({ min: 0, default: 12 }),
+      recencyFallback: num({ min: 0, max: 1, default: 0.5 }),
+      engagementWeight: num({ default: 0.5 }),
+      maxEngagement: num({ min: 0, default: 500 }),
+      engagementFallback: num({ min: 0, max: 1, default: 0.3 })
+    }),
+    // Providers are names or { "module": "./path.js" } entries
+    engagement: obj({
+      providers: arr(any()),
+      shareFile: str({ nullable: true })
+    }),
+    memory: obj({
+      enabled: bool({ default: false }),
+      file: str(),
+      lookbackDays: num({ min: 0, default: 3 }),
+      mode: str({ enum: ['continuing', 'suppress'], default: 'continuing' }),
+      similarityThreshold: num({ min: 0, max: 1 }),
+      retentionDays: num({ min: 0, default: 30 })
+    })
+  }),
+
+  summary: obj({
+    enabled: bool({ default: true }),
+    method: str({ enum: ['centroid', 'textrank'], default: 'centroid' }),
+    maxSentences: int({ min: 1, default: 2 }),
+    maxLength: int({ min: 1, default: 280 }),
+    minSentenceLength: int({ min: 0, default: 30 }),
+    abstractive: obj({
+      enabled: bool({ default: false }),
+      url: str({ nullable: true }),
+      model: str({ nullable: true }),
+      timeout: int({ min: 1, default: 20000 }),
+      maxTokensPerRun: int({ min: 0, default: 4000 }),
+      maxOutputTokens: int({ min: 1, default: 160 }),
+      cacheFile: str({ nullable: true }),
+      cacheTtlHours: num({ min: 0, default: 72 })
+    })
+  }),
+
+  topics: obj({
+    enabled: bool({ default: false }),
+    defaultQuota: int({ min: 0, default: 2 }),
+    sections: arr(TOPIC_SECTION, { default: [] }),
+    other: obj({ label: str(), quota: int({ min: 0 }) }, { nullable: true })
+  })
+});
+
+// ============================================================================
+// ENVIRONMENT SUBSTITUTION
+// ============================================================================
+
+const ENV_PATTERN = /\$\{(\w+)(?::-([^}]*))?\}/g;
+
+/**
+ * Replace ${VAR} and ${VAR:-default} in a string
+ * An unset VAR becomes ""; the default is used when VAR is unset or empty.
+ */
+function substituteEnv(text, env = process.env) {
+  return text.replace(ENV_PATTERN, (match, name, fallback) => {
+    const value = env[name];
+    if (fallback !== undefined && (value === undefined || value === '')) return fallback;
+    return value ?? '';
+  });
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+function joinPath(base, key) {
+  return typeof key === 'number' ? `${base}[${key}]` : (base ? `${base}.${key}` : key);
+}
+
+/**
+ * Edit distance, to suggest the setting a typo meant
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggest(key, known) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of known) {
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) [best, bestDistance] = [candidate, distance];
+  }
+  return best && bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Substitute, convert and check one value; returns the resolved value
+ * (with defaults filled in) and pushes problems onto `errors`
+ */
+function resolve(value, schema, where, errors) {
+  const substituted = typeof value === 'string' && value.includes('${');
+  if (substituted) value = substituteEnv(value);
+
+  if (value === undefined) return schema.default === undefined ? undefined : resolve(structuredClone(schema.default), schema, where, errors);
+  if (value === null) {
+    if (!schema.nullable && schema.type !== 'any') errors.push(`${where} must not be null`);
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'any':
+      if (typeof value === 'object') {
+        return Array.isArray(value)
+          ? value.map((item, i) => resolve(item, schema, joinPath(where, i), errors))
+          : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, schema, joinPath(where, key), errors)]));
+      }
+      return value;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${where} must be a string (got ${describe(value)})`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where} must be one of ${schema.enum.join(', ')} (got "${value}")`);
+      }
+      return value;
+
+    case 'number': {
+      // "${TIMEOUT:-15000}" arrives as a string
+      const number = substituted && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push(`${where} must be a number (got ${describe(value)})`);
+        return value;
+      }
+      if (schema.integer && !Number.isInteger(number)) errors.push(`${where} must be a whole number (got ${number})`);
+      if (schema.min !== undefined && number < schema.min) errors.push(`${where} must be at least ${schema.min} (got ${number})`);
+      if (schema.max !== undefined && number > schema.max) errors.push(`${where} must be at most ${schema.max} (got ${number})`);
+      return number;
+    }
+
+    case 'boolean': {
+      const flag = substituted && (value === 'true' || value === 'false') ? value === 'true' : value;
+      if (typeof flag !== 'boolean') errors.push(`${where} must be true or false (got ${describe(value)})`);
+      return flag;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${where} must be an array (got ${describe(value)})`);
+        return value;
+      }
+      return value.map((item, i) => resolve(item, schema.items, joinPath(where, i), errors));
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${where || 'config'} must be an object (got ${describe(value)})`);
+        return value;
+      }
+      const result = {};
+      if (schema.values) {
+        for (const [key, item] of Object.entries(value)) result[key] = resolve(item, schema.values, joinPath(where, key), errors);
+        return result;
+      }
+      const known = Object.keys(schema.properties);
+      for (const key of Object.keys(value)) {
+        if (schema.properties[key]) continue;
+        const hint = suggest(key, known);
+        errors.push(`${joinPath(where, key)} is not a known setting${hint ? ` (did you mean "${hint}"?)` : ''}`);
+      }
+      for (const [key, property] of Object.entries(schema.properties)) {
+        if (value[key] === undefined && property.required) {
+          errors.push(`${joinPath(where, key)} is required`);
+          continue;
+        }
+        const resolved = resolve(value[key], property, joinPath(where, key), errors);
+        if (resolved !== undefined) result[key] = resolved;
+      }
+      return result;
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}" at ${where}`);
+  }
+}
+
+/**
+ * Check a raw (merged) config against the schema
+ * Returns { config (substituted, converted, defaults filled in), errors }
+ */
+function resolveConfig(raw, schema = SCHEMA) {
+  const errors = [];
+  const config = resolve(raw, schema, '', errors);
+  return { config, errors };
+}
+
+// ============================================================================
+// LAYERED LOADING
+// ============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge override layers: objects merge, everything else replaces
+ */
+function mergeConfig(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in base ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Files that make up a config, base first
+ * news-config.json -> news-config.<env>.json, news-config.local.json
+ */
+function configLayers(file, envName = process.env.NEWS_ENV) {
+  const { dir, name, ext } = path.parse(path.resolve(file));
+  const layers = [path.resolve(file)];
+  if (envName) layers.push(path.join(dir, `${name}.${envName}${ext}`));
+  layers.push(path.join(dir, `${name}.local${ext}`));
+  return layers;
+}
+
+function configError(message, errors, files) {
+  const error = new Error(message);
+  error.code = 'ECONFIG';
+  error.errors = errors;
+  error.files = files;
+  return error;
+}
+
+/**
+ * Load a config file and its override layers, then validate it
+ * Missing override files are skipped; the base file must exist.
+ * Returns { config, files }; throws an ECONFIG error listing every problem
+ */
+function loadConfig(file, { envName = process.env.NEWS_ENV } = {}) {
+  const layers = configLayers(file, envName);
+  let raw = {};
+  const files = [];
+  for (const [i, layer] of layers.entries()) {
+    let text;
+    try {
+      text = fs.readFileSync(layer, 'utf8');
+    } catch (error) {
+      if (i > 0 && error.code === 'ENOENT') continue;
+      throw configError(`Cannot read ${layer}: ${error.message}`, [error.message], files);
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw configError(`${layer} is not valid JSON: ${error.message}`, [`${path.basename(layer)}: ${error.message}`], files);
+    }
+    raw = mergeConfig(raw, parsed);
+    files.push(layer);
+  }
+
+  const { config, errors } = resolveConfig(raw);
+  if (errors.length) {
+    const list = errors.map(e => `  - ${e}`).join('\n');
+    throw configError(`Invalid config (${files.map(f => path.basename(f)).join(' + ')}):\n${list}`, errors, files);
+  }
+  return { config, files };
+}
+
+module.exports = {
+  SCHEMA,
+  substituteEnv,
+  resolveConfig,
+  mergeConfig,
+  configLayers,
+  loadConfig
+};
@@ -0,0 +1,270 @@
+/**
+ * Cron Schedules for OpenClaw News
+ * Parses 5-field cron expressions and finds their next run times in an IANA
+ * time zone, so "15 7 * * 1-6" in Pacific/Auckland means 07:15 NZ time all year.
+ *
+ * Fields: minute hour day-of-month month day-of-week
+ *   *, lists (1,3,5), ranges (1-5), steps (0-59/15, 8-18/2), names (jan, mon),
+ *   7 = Sunday, and the macros @hourly @daily @weekly @monthly @yearly.
+ *   As in Vixie cron, a day matches if day-of-month OR day-of-week matches
+ *   when both are restricted.
+ *
+ * DST:
+ *   - A local time skipped by a spring-forward runs that much later
+ *     (02:30 -> 03:30 on the transition day), so daily jobs are never lost.
+ *   - A local time repeated by a fall-back runs once, at its first
+ *     occurrence, unless the hour field is "*" (then it runs in both hours).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Far enough for any satisfiable expression except Feb 29 on a given weekday
+const SEARCH_DAYS = 366 * 8;
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, nameBase: 0 }
+];
+
+function cronError(message) {
+  const error = new Error(message);
+  error.code = 'ECRON';
+  return error;
+}
+
+function parseValue(text, field, expression) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  const value = named >= 0 ? named + field.nameBase : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw cronError(`Invalid ${field.name} "${text}" in cron expression "${expression}"`);
+  }
+  return value;
+}
+
+/**
+ * Expand one field into a sorted list of allowed values
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw cronError(`Invalid step "${part}" in cron expression "${expression}"`);
+    }
+    let start, end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field, expression), parseValue(to, field, expression)];
+      if (start > end) throw cronError(`Invalid range "${range}" in cron expression "${expression}"`);
+    } else {
+      start = parseValue(range, field, expression);
+      // "5/15" means from 5 to the end in steps of 15
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * Returns { expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday, anyHour }
+ */
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError(`Cron expression must have 5 fields (got "${source}")`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], source));
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    // 7 and 0 are both Sunday
+    weekdays: [...new Set(weekdays.map(d => d % 7))].sort((a, b) => a - b),
+    // A day field starting with "*" or covering every day doesn't restrict the
+    // other one; when both restrict, either may match
+    anyDay: parts[2].startsWith('*') || days.length === 31,
+    anyWeekday: parts[4].startsWith('*') || new Set(weekdays.map(d => d % 7)).size === 7,
+    anyHour: parts[1] === '*'
+  };
+}
+
+// ============================================================================
+// TIME ZONES
+// ============================================================================
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch {
+      throw cronError(`cron.timezone must be a valid IANA time zone (got "${timeZone}")`);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+function localParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+/**
+ * UTC offset (ms, east positive) of a time zone at an instant
+ */
+function tzOffset(ms, timeZone) {
+  const p = localParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instants at which a wall-clock time occurs: one normally, two in a
+ * fall-back overlap (earliest first), none in a spring-forward gap
+ */
+function wallTimeInstants(wallMs, timeZone) {
+  const offsets = new Set([tzOffset(wallMs - DAY_MS, timeZone), tzOffset(wallMs + DAY_MS, timeZone)]);
+  return [...offsets]
+    .map(offset => wallMs - offset)
+    .filter(ms => tzOffset(ms, timeZone) === wallMs - ms)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Instants a scheduled wall-clock time fires at, applying the DST rules above
+ */
+function firingInstants(wallMs, schedule, timeZone) {
+  const instants = wallTimeInstants(wallMs, timeZone);
+  if (instants.length === 0) return [wallMs - tzOffset(wallMs - DAY_MS, timeZone)];
+  return schedule.anyHour ? instants : [instants[0]];
+}
+
+function dayMatches(schedule, year, month, day) {
+  if (!schedule.months.includes(month)) return false;
+  const dateMs = Date.UTC(year, month - 1, day);
+  // Skip dates that roll over (Feb 30 -> Mar 2)
+  if (new Date(dateMs).getUTCDate() !== day) return false;
+  const domMatch = schedule.days.includes(day);
+  const dowMatch = schedule.weekdays.includes(new Date(dateMs).getUTCDay());
+  if (schedule.anyDay) return dowMatch;
+  if (schedule.anyWeekday) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Next time a schedule fires strictly after `after` (ms), or null
+ * schedule: an expression string or the result of parseCron
+ */
+function nextRun(schedule, after, timeZone = 'UTC') {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const start = localParts(after, timeZone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+
+  // Start one local day early: a fall-back can put an instant after `after`
+  // on what is locally still the previous day
+  for (let i = -1; i <= SEARCH_DAYS; i++) {
+    const date = new Date(startDay + i * DAY_MS);
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!dayMatches(parsed, year, month, day)) continue;
+
+    // The offset is constant on most days, so the slow per-time lookup is
+    // only needed around a transition (zones span UTC-12 to UTC+14)
+    const dayStart = Date.UTC(year, month - 1, day);
+    const offset = tzOffset(dayStart - 14 * 60 * MINUTE_MS, timeZone);
+    const stable = offset === tzOffset(dayStart + DAY_MS + 12 * 60 * MINUTE_MS, timeZone);
+
+    let best = null;
+    for (const hour of parsed.hours) {
+      for (const minute of parsed.minutes) {
+        const wallMs = dayStart + (hour * 60 + minute) * MINUTE_MS;
+        const instants = stable ? [wallMs - offset] : firingInstants(wallMs, parsed, timeZone);
+        for (const ms of instants) {
+          if (ms > after && (best === null || ms < best)) best = ms;
+        }
+      }
+      if (best !== null && stable) break;
+    }
+    if (best !== null) return best;
+  }
+  return null;
+}
+
+/**
+ * The next `count` run times after `after`
+ */
+function nextRuns(schedule, after, timeZone = 'UTC', count = 5) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const runs = [];
+  let cursor = after;
+  while (runs.length < count) {
+    const next = nextRun(parsed, cursor, timeZone);
+    if (next === null) break;
+    runs.push(next);
+    cursor = next;
+  }
+  return runs;
+}
+
+/**
+ * Format an instant as local time in a zone, e.g. "Mon 2026-10-19 07:15 (Pacific/Auckland)"
+ */
+function formatInZone(ms, timeZone) {
+  const p = localParts(ms, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  const weekday = DAY_NAMES[new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay()];
+  return `${weekday[0].toUpperCase()}${weekday.slice(1)} ${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)} (${timeZone})`;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  nextRuns,
+  localParts,
+  tzOffset,
+  formatInZone
+};
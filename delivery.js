@@ -0,0 +1,139 @@
+/**
+ * Message Delivery Helpers for OpenClaw News
+ * Splits a rendered digest into parts that fit a channel's message limit
+ *
+ * Parts break at story boundaries (blank lines) where possible, then at
+ * lines, then at words, and are numbered "(1/3)" when there is more than one.
+ * A message in a chat app's markup is only cut inside a line when the line
+ * alone is over the limit, and that line loses its markup first, so no part
+ * carries half a tag or link.
+ *
+ * Chat apps with their own markup get their own digest template
+ * (templates/<channel>.mustache); CHANNEL_MARKUP escapes the values put into it.
+ */
+
+// Maximum characters per message, by channel
+const CHANNEL_LIMITS = {
+  whatsapp: 4096,
+  telegram: 4096,
+  discord: 2000,
+  slack: 4000,
+  signal: 2000,
+  imessage: 4000,
+  sms: 1600
+};
+
+const DEFAULT_LIMIT = 4000;
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+// Escaping for the values in each chat app's template
+const CHANNEL_MARKUP = {
+  // *bold* _italic_ ~strike~ ```mono```; WhatsApp has no escape, so drop the marks
+  whatsapp: text => text.replace(/[*_~`]/g, ''),
+  // mrkdwn with <url|label> links: only &, < and > are special
+  slack: text => text.replace(/[&<>]/g, c => ENTITIES[c]),
+  // Telegram HTML (parse_mode: HTML): <b>, <i>, <a href>
+  telegram: text => text.replace(/[&<>"]/g, c => ENTITIES[c]),
+  // Discord markdown: **bold**, *italic*, [label](<url>)
+  discord: text => text.replace(/[\\*_~`|[\]<>]/g, '\\$&')
+};
+
+/**
+ * Percent-encode the characters that end a link in chat markup
+ * ("<url>" and "(url)") or break autolinking, so a URL is safe unescaped
+ */
+function encodeLink(url) {
+  return String(url).replace(/[\s<>()]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+// Markup taken off a line that has to be cut, keeping the text
+const STRIP_MARKUP = {
+  slack: line => line.replace(/<[^<>|]+\|([^<>]+)>/g, '$1'),
+  telegram: line => line.replace(/<[^<>]+>/g, ''),
+  discord: line => line.replace(/\[((?:\\.|[^\]\\])*)\]\(<[^<>]*>\)/g, '$1')
+};
+
+/**
+ * Message length limit for a channel (an explicit override wins)
+ */
+function channelLimit(channel, override) {
+  if (Number.isFinite(override) && override > 0) return override;
+  return CHANNEL_LIMITS[String(channel || '').toLowerCase()] || DEFAULT_LIMIT;
+}
+
+/**
+ * Split one oversized block into pieces of at most `limit` characters
+ * strip(line) removes the markup from a line that must be cut
+ */
+function splitBlock(block, limit, strip) {
+  const pieces = [];
+  let current = '';
+  const flush = () => {
+    if (current) pieces.push(current);
+    current = '';
+  };
+  const units = block.split('\n').flatMap(line => {
+    if (line.length <= limit) return [{ text: line, sep: '\n' }];
+    // Long line: fall back to words, and hard-cut words longer than the limit
+    return strip(line).split(' ').flatMap(word => {
+      const cuts = [];
+      for (let i = 0; i < word.length; i += limit) cuts.push({ text: word.slice(i, i + limit), sep: ' ' });
+      return cuts.length ? cuts : [{ text: '', sep: ' ' }];
+    });
+  });
+  for (const { text, sep } of units) {
+    if (current && current.length + sep.length + text.length > limit) flush();
+    current = current ? `${current}${sep}${text}` : text;
+  }
+  flush();
+  return pieces;
+}
+
+/**
+ * Pack blocks into parts of at most `budget` characters
+ */
+function packParts(text, budget, strip) {
+  const parts = [];
+  let current = '';
+  for (const block of text.split(/\n{2,}/)) {
+    const pieces = block.length > budget ? splitBlock(block, budget, strip) : [block];
+    for (const piece of pieces) {
+      if (current && current.length + 2 + piece.length > budget) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Split a message into numbered parts no longer than `limit`
+ * format: the message's format; a chat app's (slack, telegram, ...) keeps
+ * its markup whole
+ * Returns [text] unchanged when it already fits.
+ */
+function chunkMessage(text, limit, { format = null } = {}) {
+  if (text.length <= limit) return [text];
+
+  const strip = STRIP_MARKUP[format] || (line => line);
+  // The "(7/12)\n" header grows with the part count: pack again when the
+  // count needs more digits than the room left for it
+  for (let digits = 1; ; digits++) {
+    const parts = packParts(text, Math.max(1, limit - (2 * digits + 4)), strip);
+    if (String(parts.length).length <= digits) {
+      return parts.map((part, i) => `(${i + 1}/${parts.length})\n${part}`);
+    }
+  }
+}
+
+module.exports = {
+  CHANNEL_LIMITS,
+  CHANNEL_MARKUP,
+  channelLimit,
+  chunkMessage,
+  encodeLink
+};
@@ -0,0 +1,157 @@
+/**
+ * Engagement Signals for OpenClaw News
+ * Pluggable providers that report how much attention an article is getting
+ *
+ * A provider is an object:
+ *   {
+ *     name: 'my-provider',
+ *     measure(article, options) { return 42; }  // count, or null if unknown
+ *   }
+ *
+ * Built-in providers:
+ *   brave         - Brave Search result metadata (views, comments, score)
+ *   feedComments  - Feed-declared comment counts (slash:comments, thr:total)
+ *   shareFile     - Local JSON file of share counts keyed by link or guid
+ *
+ * Custom providers are loaded from a module path in config:
+ *   "providers": ["feedComments", { "module": "./my-provider.js" }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const providers = new Map();
+
+/**
+ * Register a provider under its name (replaces any existing one)
+ */
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.measure !== 'function') {
+    throw new Error('Engagement provider needs a name and a measure(article, options) function');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Sum the numeric values of a number or a { shares, likes, ... } object
+ */
+function sumCounts(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (value && typeof value === 'object') {
+    const counts = Object.values(value).filter(v => typeof v === 'number' && Number.isFinite(v) && v >= 0);
+    return counts.length ? counts.reduce((a, b) => a + b, 0) : null;
+  }
+  return null;
+}
+
+// ============================================================================
+// BUILT-IN PROVIDERS
+// ============================================================================
+
+registerProvider({
+  name: 'brave',
+  measure(article) {
+    return sumCounts(article.braveMeta);
+  }
+});
+
+registerProvider({
+  name: 'feedComments',
+  measure(article) {
+    return typeof article.comments === 'number' ? article.comments : null;
+  }
+});
+
+// Share counts are re-read only when the file changes
+let shareCache = { file: null, mtimeMs: 0, counts: {} };
+
+function loadShareCounts(file) {
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (shareCache.file !== file || shareCache.mtimeMs !== mtimeMs) {
+      shareCache = { file, mtimeMs, counts: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+    return shareCache.counts;
+  } catch {
+    return {};
+  }
+}
+
+registerProvider({
+  name: 'shareFile',
+  measure(article, options) {
+    if (!options.shareFile) return null;
+    const counts = loadShareCounts(options.shareFile);
+    for (const key of [article.link, article.guid]) {
+      if (key && counts[key] !== undefined) return sumCounts(counts[key]);
+    }
+    return null;
+  }
+});
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+const DEFAULT_PROVIDERS = ['brave', 'feedComments', 'shareFile'];
+
+/**
+ * Resolve the configured provider list into { provider, options } pairs
+ * Relative paths (shareFile, custom modules) resolve against baseDir.
+ */
+function resolveProviders(engagementConfig = {}, baseDir = process.cwd()) {
+  const shareFile = engagementConfig.shareFile ? path.resolve(baseDir, engagementConfig.shareFile) : null;
+  const entries = engagementConfig.providers || DEFAULT_PROVIDERS;
+
+  return entries.map(entry => {
+    const spec = typeof entry === 'string' ? { name: entry } : entry;
+    let provider;
+    if (spec.module) {
+      provider = registerProvider(require(path.resolve(baseDir, spec.module)));
+    } else {
+      provider = getProvider(spec.name);
+      if (!provider) throw new Error(`Unknown engagement provider: ${spec.name}`);
+    }
+    return { provider, options: { shareFile, ...spec } };
+  });
+}
+
+/**
+ * Total engagement across a cluster's articles
+ * Returns { total, signals: { providerName: count } }, or null when no
+ * provider knows anything about any article.
+ */
+function measureEngagement(articles, resolved) {
+  const signals = {};
+  let known = false;
+
+  for (const { provider, options } of resolved) {
+    for (const article of articles) {
+      let value = null;
+      try {
+        value = provider.measure(article, options);
+      } catch {
+        // A misbehaving provider shouldn't sink the whole run
+      }
+      if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        signals[provider.name] = (signals[provider.name] || 0) + value;
+        known = true;
+      }
+    }
+  }
+
+  if (!known) return null;
+  return { total: Object.values(signals).reduce((a, b) => a + b, 0), signals };
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  resolveProviders,
+  measureEngagement
+};
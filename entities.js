@@ -0,0 +1,132 @@
+/**
+ * Entity Extraction for OpenClaw News
+ * Finds the companies and tickers a headline is about
+ *
+ * Sources of matches:
+ *   - $TICKER cashtags                 "$NVDA jumps"
+ *   - exchange-qualified tickers       "(NASDAQ: NVDA)", "(NYSE:BRK.B)"
+ *   - dictionary names and aliases     "Nvidia", "Goldman Sachs"
+ *
+ * The bundled dictionary (tickers.json) is extended through config:
+ *   "entities": { "dictionaries": ["./my-tickers.json"], "extra": [{ "ticker": "XYZ", "name": "Xyz Corp" }] }
+ *
+ * Bare tickers ("MS", "F", "AIR") are never matched on their own - they
+ * collide with ordinary words. List them as an alias to opt in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_DICTIONARY = path.join(__dirname, 'tickers.json');
+
+const EXCHANGES = ['NASDAQ', 'NYSE', 'NYSEARCA', 'NYSE American', 'AMEX', 'TSX', 'TSXV', 'LSE', 'ASX', 'NZX', 'HKEX', 'OTC'];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read a dictionary file: either { entities: [...] } or a bare array
+ */
+function readDictionary(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.entities;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Entity dictionary ${file} must be an array or { "entities": [...] }`);
+  }
+  return entries;
+}
+
+/**
+ * Merge the bundled dictionary with user dictionaries and inline extras
+ * Later entries override earlier ones with the same ticker.
+ */
+function loadDictionary(options = {}, baseDir = process.cwd()) {
+  const files = [
+    ...(options.useBundled === false ? [] : [BUNDLED_DICTIONARY]),
+    ...(options.dictionaries || []).map(f => path.resolve(baseDir, f))
+  ];
+  const byKey = new Map();
+  for (const entry of [...files.flatMap(readDictionary), ...(options.extra || [])]) {
+    if (!entry.ticker && !entry.name) continue;
+    const key = (entry.ticker || entry.name).toUpperCase();
+    byKey.set(key, {
+      ticker: entry.ticker ? entry.ticker.toUpperCase() : null,
+      name: entry.name || entry.ticker,
+      exchange: entry.exchange || null,
+      aliases: entry.aliases || [entry.name].filter(Boolean)
+    });
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Build an extractor: extract(text) -> [{ ticker, name, exchange }]
+ */
+function createExtractor(dictionary) {
+  const byTicker = new Map(dictionary.filter(e => e.ticker).map(e => [e.ticker, e]));
+
+  // All-caps aliases (BTC, TSMC) match case-sensitively; names match any case
+  const aliasIndex = new Map();
+  const caseSensitive = [];
+  const caseInsensitive = [];
+  for (const entry of dictionary) {
+    for (const alias of entry.aliases) {
+      if (alias.length < 2) continue;
+      const exact = alias === alias.toUpperCase() && /[A-Z]/.test(alias);
+      aliasIndex.set(exact ? alias : alias.toLowerCase(), entry);
+      (exact ? caseSensitive : caseInsensitive).push(alias);
+    }
+  }
+  const aliasRegex = (aliases, flags) => aliases.length
+    ? new RegExp(`(?<![\\w$&])(${aliases.sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})(?![\\w&])`, flags)
+    : null;
+  const exactRegex = aliasRegex(caseSensitive, 'g');
+  const nameRegex = aliasRegex(caseInsensitive, 'gi');
+  const cashtagRegex = /(?<![\w$])\$([A-Z]{1,5}(?:\.[A-Z])?)(?![\w.])/g;
+  const exchangeRegex = new RegExp(`\\((${EXCHANGES.map(escapeRegex).join('|')})\\s*:\\s*([A-Z]{1,6}(?:\\.[A-Z])?)\\)`, 'gi');
+
+  const describe = (entry, ticker, exchange) => ({
+    ticker: entry?.ticker || ticker || null,
+    name: entry?.name || null,
+    exchange: exchange || entry?.exchange || null
+  });
+
+  return function extract(text) {
+    if (!text) return [];
+    const found = new Map();
+    const add = entity => {
+      const key = entity.ticker || entity.name.toUpperCase();
+      if (!found.has(key)) found.set(key, entity);
+    };
+
+    for (const match of text.matchAll(exchangeRegex)) {
+      const ticker = match[2].toUpperCase();
+      add(describe(byTicker.get(ticker), ticker, match[1].toUpperCase()));
+    }
+    for (const match of text.matchAll(cashtagRegex)) {
+      add(describe(byTicker.get(match[1]), match[1]));
+    }
+    if (exactRegex) {
+      for (const match of text.matchAll(exactRegex)) add(describe(aliasIndex.get(match[1])));
+    }
+    if (nameRegex) {
+      for (const match of text.matchAll(nameRegex)) add(describe(aliasIndex.get(match[1].toLowerCase())));
+    }
+
+    return [...found.values()];
+  };
+}
+
+/**
+ * Short label for an entity: its ticker, or its name when it has none
+ */
+function entityLabel(entity) {
+  return entity.ticker || entity.name;
+}
+
+module.exports = {
+  loadDictionary,
+  createExtractor,
+  entityLabel
+};
@@ -0,0 +1,315 @@
+/**
+ * Feed Parser for OpenClaw News
+ * Parses RSS 2.0, Atom, RDF (RSS 1.0) and JSON Feed documents into
+ * structured items: { title, link, guid, pubDate, description, author, categories, comments }
+ *
+ * No dependencies - uses a small tolerant XML reader that copes with the
+ * malformed markup real-world feeds tend to serve.
+ */
+
+// ============================================================================
+// XML READER
+// ============================================================================
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', euro: '€', pound: '£', yen: '¥', copy: '©', reg: '®', trade: '™'
+};
+
+/**
+ * Decode XML/HTML character references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return '';
+      }
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Parse attribute string into a map
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const attrRegex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attrRegex.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attrs[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+/**
+ * Parse XML into a lightweight element tree
+ * Nodes: { name, attrs, children } for elements, strings for text.
+ * Unclosed elements are tolerated; stray closing tags are ignored.
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [] };
+  const stack = [root];
+  const tokenRegex = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closeName, openName, attrSource, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+    } else if (text !== undefined) {
+      current.children.push(decodeEntities(text));
+    } else if (openName !== undefined) {
+      const node = { name: openName.toLowerCase(), attrs: parseAttributes(attrSource || ''), children: [] };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closeName !== undefined) {
+      const name = closeName.toLowerCase();
+      const index = stack.map(n => n.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+    }
+  }
+
+  return root;
+}
+
+function localName(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Match an element name against a qualified ('dc:date') or local ('title') name
+ */
+function nameMatches(node, name) {
+  if (typeof node === 'string') return false;
+  const wanted = name.toLowerCase();
+  return wanted.includes(':') ? node.name === wanted : localName(node.name) === wanted;
+}
+
+function children(node, name) {
+  return node.children.filter(c => nameMatches(c, name));
+}
+
+/**
+ * First child matching any of the names, preferring an unprefixed element
+ * (so an RSS <link> wins over a sibling <atom:link>)
+ */
+function child(node, ...names) {
+  for (const name of names) {
+    const matches = children(node, name);
+    const found = matches.find(c => c.name === name.toLowerCase()) || matches[0];
+    if (found) return found;
+  }
+  return null;
+}
+
+function findFirst(node, name) {
+  if (nameMatches(node, name)) return node;
+  for (const c of node.children) {
+    if (typeof c === 'string') continue;
+    const found = findFirst(c, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Concatenated text of an element and all its descendants
+ */
+function textContent(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * Reduce feed text (which may carry escaped HTML) to a plain single line
+ */
+function toPlainText(text) {
+  const stripTags = s => s
+    .replace(/<\/?(?:p|br|div|li|ul|ol|h[1-6]|tr|td|blockquote)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return stripTags(decodeEntities(stripTags(String(text || ''))))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function childText(node, ...names) {
+  return toPlainText(textContent(child(node, ...names)));
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parseCount(value) {
+  const n = parseInt(String(value ?? '').trim(), 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * An item link that is safe to put in an href: absolute http(s) URLs only,
+ * '' for anything else (a feed can carry javascript: or data: links)
+ */
+function webLink(url) {
+  const text = String(url ?? '').trim();
+  try {
+    const { protocol } = new URL(text);
+    return protocol === 'http:' || protocol === 'https:' ? text : '';
+  } catch {
+    return '';
+  }
+}
+
+// ============================================================================
+// FORMAT-SPECIFIC ITEM EXTRACTION
+// ============================================================================
+
+function rssItem(node) {
+  const guidNode = child(node, 'guid');
+  const link = webLink(childText(node, 'link') ||
+    (guidNode && guidNode.attrs.ispermalink !== 'false' ? toPlainText(textContent(guidNode)) : ''));
+
+  return {
+    title: childText(node, 'title'),
+    link,
+    guid: guidNode ? toPlainText(textContent(guidNode)) : link,
+    pubDate: parseDate(childText(node, 'pubDate', 'dc:date', 'published', 'updated')),
+    description: childText(node, 'description', 'content:encoded', 'summary'),
+    author: childText(node, 'author', 'dc:creator'),
+    categories: children(node, 'category').map(c => toPlainText(textContent(c))).filter(Boolean),
+    comments: parseCount(childText(node, 'slash:comments', 'thr:total'))
+  };
+}
+
+function rdfItem(node) {
+  const link = webLink(childText(node, 'link'));
+  return {
+    title: childText(node, 'title'),
+    link,
+    guid: node.attrs['rdf:about'] || link,
+    pubDate: parseDate(childText(node, 'dc:date')),
+    description: childText(node, 'description', 'content:encoded'),
+    author: childText(node, 'dc:creator'),
+    categories: children(node, 'dc:subject').map(c => toPlainText(textContent(c))).filter(Boolean),
+    comments: parseCount(childText(node, 'slash:comments'))
+  };
+}
+
+function atomLink(node) {
+  const links = children(node, 'link');
+  const alternate = links.find(l => !l.attrs.rel || l.attrs.rel === 'alternate');
+  return (alternate || links[0])?.attrs.href || '';
+}
+
+function atomItem(node) {
+  const link = webLink(atomLink(node));
+  const authorNode = child(node, 'author');
+  // Atom threading: <thr:total> or a replies link carrying thr:count
+  const replies = children(node, 'link').find(l => l.attrs.rel === 'replies' && l.attrs['thr:count']);
+
+  return {
+    title: childText(node, 'title'),
+    link,
+    guid: childText(node, 'id') || link,
+    pubDate: parseDate(childText(node, 'published', 'updated', 'issued', 'modified')),
+    description: childText(node, 'summary', 'content'),
+    author: authorNode ? (childText(authorNode, 'name') || toPlainText(textContent(authorNode))) : '',
+    categories: children(node, 'category')
+      .map(c => c.attrs.label || c.attrs.term || toPlainText(textContent(c)))
+      .filter(Boolean),
+    comments: parseCount(childText(node, 'thr:total')) ?? parseCount(replies?.attrs['thr:count'])
+  };
+}
+
+function jsonFeedItem(item) {
+  const author = item.authors?.[0] || item.author;
+  return {
+    title: toPlainText(item.title),
+    link: webLink(item.url || item.external_url),
+    guid: item.id != null ? String(item.id) : (item.url || ''),
+    pubDate: parseDate(item.date_published || item.date_modified),
+    description: toPlainText(item.summary || item.content_text || item.content_html),
+    author: author?.name ? toPlainText(author.name) : '',
+    categories: Array.isArray(item.tags) ? item.tags.map(String) : [],
+    comments: null
+  };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Parse a JSON Feed document (https://jsonfeed.org)
+ */
+function parseJsonFeed(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data.version !== 'string' || !data.version.includes('jsonfeed.org') || !Array.isArray(data.items)) {
+    return null;
+  }
+  return {
+    format: 'json',
+    title: toPlainText(data.title),
+    items: data.items.map(jsonFeedItem)
+  };
+}
+
+/**
+ * Parse a feed document of any supported format
+ * Returns { format: 'rss'|'atom'|'rdf'|'json'|null, title, items }
+ */
+function parseFeed(body) {
+  const text = String(body || '').replace(/^﻿/, '');
+
+  if (/^\s*[{[]/.test(text)) {
+    return parseJsonFeed(text) || { format: null, title: '', items: [] };
+  }
+
+  const doc = parseXml(text);
+
+  const feed = findFirst(doc, 'feed');
+  if (feed && children(feed, 'entry').length > 0) {
+    return { format: 'atom', title: childText(feed, 'title'), items: children(feed, 'entry').map(atomItem) };
+  }
+
+  const rdf = findFirst(doc, 'rdf:rdf');
+  if (rdf) {
+    const channel = child(rdf, 'channel');
+    return { format: 'rdf', title: channel ? childText(channel, 'title') : '', items: children(rdf, 'item').map(rdfItem) };
+  }
+
+  const channel = findFirst(doc, 'channel');
+  if (channel) {
+    return { format: 'rss', title: childText(channel, 'title'), items: children(channel, 'item').map(rssItem) };
+  }
+
+  return { format: null, title: '', items: [] };
+}
+
+module.exports = {
+  parseFeed,
+  parseXml,
+  decodeEntities,
+  toPlainText,
+  webLink
+};
@@ -0,0 +1,163 @@
+/**
+ * Feed Writer for OpenClaw News
+ * Publishes the digest as an RSS 2.0 or Atom feed, one entry per top story.
+ *
+ * Entries are kept for a rolling window of runs in a JSON file
+ * (output.feed.stateFile), so a feed reader polling once a week still sees
+ * every story. A story's GUID is derived from its link (or headline), and a
+ * story that shows up again - even under another source's link - keeps its
+ * original GUID and is only marked updated, so readers don't show it twice.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeAtomic } = require('./outputs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeXml(text) {
+  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  return String(text).replace(/[&<>"']/g, c => map[c]);
+}
+
+/**
+ * Stable GUID for a story
+ */
+function storyGuid(story) {
+  const key = story.link || story.headline.toLowerCase().replace(/\s+/g, ' ').trim();
+  return `urn:openclaw-news:${crypto.createHash('sha1').update(key).digest('hex').slice(0, 20)}`;
+}
+
+/**
+ * Feed entry for a story in the digest
+ */
+function toEntry(story, rank) {
+  const articles = (story.articles || []).filter(article => article.link);
+  return {
+    guid: storyGuid(story),
+    title: story.headline,
+    link: story.link || articles[0]?.link || null,
+    summary: story.summary || null,
+    sources: articles.length
+      ? articles.map(article => ({ name: article.source, title: article.title, link: article.link }))
+      : story.sources.map(name => ({ name, title: null, link: null })),
+    categories: [story.topic?.label, ...(story.entities || []).map(e => e.ticker || e.name)].filter(Boolean),
+    rank
+  };
+}
+
+/**
+ * Entries saved by previous runs (newest first); [] if there are none
+ */
+function readEntries(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data.entries) ? data.entries : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeEntries(file, entries) {
+  writeAtomic(file, JSON.stringify({ entries }, null, 2));
+}
+
+/**
+ * Add this run's stories to the previous entries and apply the window
+ * A story matching an entry by GUID or by any source link keeps that entry's
+ * GUID and first-published time.
+ * options: { now, maxEntries = 50, maxAgeDays = 7 }
+ * Returns the entries, newest first
+ */
+function mergeEntries(previous, stories, options = {}) {
+  const { now = Date.now(), maxEntries = 50, maxAgeDays = 7 } = options;
+  const runAt = new Date(now).toISOString();
+  const entries = previous.map(entry => ({ ...entry }));
+
+  stories.forEach((story, i) => {
+    const entry = toEntry(story, i + 1);
+    const links = new Set(entry.sources.map(s => s.link).filter(Boolean));
+    const existing = entries.find(e => e.guid === entry.guid || e.sources.some(s => s.link && links.has(s.link)));
+    if (existing) {
+      Object.assign(existing, { ...entry, guid: existing.guid, published: existing.published, updated: runAt });
+    } else {
+      entries.push({ ...entry, published: runAt, updated: runAt });
+    }
+  });
+
+  const cutoff = now - maxAgeDays * DAY_MS;
+  return entries
+    .filter(entry => Date.parse(entry.updated) >= cutoff)
+    .sort((a, b) => Date.parse(b.updated) - Date.parse(a.updated) || a.rank - b.rank)
+    .slice(0, maxEntries);
+}
+
+/**
+ * HTML body of an entry: the summary and a link to each source
+ */
+function entryContent(entry) {
+  const sources = entry.sources.map(s => {
+    const label = escapeXml(s.title ? `${s.name}: ${s.title}` : s.name);
+    return `<li>${s.link ? `<a href="${escapeXml(s.link)}">${label}</a>` : label}</li>`;
+  }).join('');
+  return `${entry.summary ? `<p>${escapeXml(entry.summary)}</p>` : ''}<ul>${sources}</ul>`;
+}
+
+/**
+ * RSS 2.0 document
+ * channel: { title, link, description, selfLink }
+ */
+function renderRss(entries, channel, now = Date.now()) {
+  const items = entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+${entry.link ? `      <link>${escapeXml(entry.link)}</link>\n` : ''}      <guid isPermaLink="false">${entry.guid}</guid>
+      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>
+      <description>${escapeXml(entryContent(entry))}</description>
+${entry.categories.map(c => `      <category>${escapeXml(c)}</category>\n`).join('')}    </item>
+`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.link)}</link>
+    <description>${escapeXml(channel.description)}</description>
+    <lastBuildDate>${new Date(now).toUTCString()}</lastBuildDate>
+${channel.selfLink ? `    <atom:link href="${escapeXml(channel.selfLink)}" rel="self" type="application/rss+xml"/>\n` : ''}${items}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0 document
+ * channel: { title, link, description, selfLink }
+ */
+function renderAtom(entries, channel, now = Date.now()) {
+  const updated = entries.length ? entries[0].updated : new Date(now).toISOString();
+  const items = entries.map(entry => `  <entry>
+    <id>${entry.guid}</id>
+    <title>${escapeXml(entry.title)}</title>
+${entry.link ? `    <link href="${escapeXml(entry.link)}"/>\n` : ''}    <published>${entry.published}</published>
+    <updated>${entry.updated}</updated>
+${entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>\n` : ''}    <content type="html">${escapeXml(entryContent(entry))}</content>
+${entry.categories.map(c => `    <category term="${escapeXml(c)}"/>\n`).join('')}  </entry>
+`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:openclaw-news:feed:${crypto.createHash('sha1').update(channel.link).digest('hex').slice(0, 20)}</id>
+  <title>${escapeXml(channel.title)}</title>
+  <subtitle>${escapeXml(channel.description)}</subtitle>
+  <link href="${escapeXml(channel.link)}"/>
+${channel.selfLink ? `  <link rel="self" href="${escapeXml(channel.selfLink)}"/>\n` : ''}  <updated>${updated}</updated>
+  <author><name>OpenClaw</name></author>
+${items}</feed>
+`;
+}
+
+module.exports = {
+  storyGuid,
+  readEntries,
+  writeEntries,
+  mergeEntries,
+  renderRss,
+  renderAtom
+};
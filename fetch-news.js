@@ -5,45 +5,183 @@
  * Fetches top news from multiple sources and sends summary
  * 
  * Configuration: news-config.json (use BRAVE_API_KEY env var for API key)
- * Output: /tmp/latest-news.txt
+ * Output: outputFile and output.paths (default /tmp/latest-news.txt)
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { spawn } = require('child_process');
+const { parseFeed, webLink } = require('./feed-parser');
+const { request, conditionalGet, assertOk } = require('./http-client');
+const { resolveProviders, measureEngagement } = require('./engagement');
+const storyStore = require('./story-store');
+const { createNormalizer } = require('./text-normalize');
+const { loadDictionary, createExtractor, entityLabel } = require('./entities');
+const { getSections, classifyStory, matchesRules, selectByQuota, groupByTopic } = require('./topics');
+const { createAbstractiveSummarizer } = require('./abstractive-summarizer');
+const { CHANNEL_MARKUP, channelLimit, chunkMessage, encodeLink } = require('./delivery');
+const { createMessagingClient } = require('./messaging-client');
+const outbox = require('./outbox');
+const outputFiles = require('./outputs');
+const archiveSite = require('./site');
+const feedWriter = require('./feed-writer');
+const { loadTemplate } = require('./templates');
+const { createScheduler, loadSchedule } = require('./scheduler');
+const { parseCron, nextRuns } = require('./cron');
+const { loadConfig } = require('./config-schema');
 
 // Paths
 const CONFIG_FILE = path.join(__dirname, 'news-config.json');
 const OUTPUT_FILE = '/tmp/latest-news.txt';
 
+/**
+ * Read a config file with its override layers (see config-schema.js)
+ */
+function readConfig(file) {
+  return loadConfig(file);
+}
+
 // Load config
 let config;
+let configFile = CONFIG_FILE;
+let configFiles = [];
 try {
-  const rawConfig = fs.readFileSync(CONFIG_FILE, 'utf8');
-  config = JSON.parse(rawConfig);
+  ({ config, files: configFiles } = readConfig(CONFIG_FILE));
+} catch (error) {
+  // The CLI reports this itself (or loads --config instead)
+  if (require.main !== module) {
+    console.error(`Error loading config: ${error.message}`);
+    process.exit(1);
+  }
+  config = {};
+}
+
+/**
+ * Switch to another config file (CLI --config)
+ * The exported config object is updated in place.
+ * Returns the files that were merged, base first
+ */
+function useConfig(file = CONFIG_FILE) {
+  const loaded = readConfig(file);
+  for (const key of Object.keys(config)) delete config[key];
+  Object.assign(config, loaded.config);
+  configFile = path.resolve(file);
+  configFiles = loaded.files;
+  return configFiles;
+}
+
+/**
+ * Check the loaded config for problems the schema can't express
+ * (types, enums and unknown keys are already checked on load)
+ * Returns a list of error messages (empty when the config is usable)
+ */
+function validateConfig() {
+  const errors = [];
+  const isHttpUrl = url => {
+    try {
+      return /^https?:$/.test(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  };
+  
+  const names = new Set();
+  config.sources.forEach((source, i) => {
+    if (names.has(source.name)) errors.push(`sources[${i}].name "${source.name}" is used twice`);
+    names.add(source.name);
+    if (!(source.type === 'api' && source.api === 'brave') && !isHttpUrl(source.url)) {
+      errors.push(`sources[${i}].url must be an http(s) URL (got "${source.url}")`);
+    }
+  });
+  if (!config.sources.some(source => source.enabled)) errors.push('sources has no enabled source');
   
-  // Support environment variable substitution for API keys
-  if (config.braveApiKey && config.braveApiKey.startsWith('${')) {
-    const envVar = config.braveApiKey.match(/\$\{(\w+)\}/)[1];
-    config.braveApiKey = process.env[envVar] || '';
+  if (config.filter.minLength > config.filter.maxLength) {
+    errors.push(`filter.minLength (${config.filter.minLength}) is greater than filter.maxLength (${config.filter.maxLength})`);
   }
-} catch (error) {
-  console.error(`Error loading config: ${error.message}`);
-  process.exit(1);
+  
+  if (config.cron) {
+    try {
+      nextRuns(parseCron(config.cron.schedule), Date.now(), config.cron.timezone, 1);
+    } catch (error) {
+      errors.push(`cron: ${error.message}`);
+    }
+  }
+  
+  const outputPaths = Object.entries(config.output?.paths || {}).map(([format, file]) => [`output.paths.${format}`, file]);
+  for (const [key, file] of [['outputFile', config.outputFile || ''], ...outputPaths]) {
+    const unknown = outputFiles.unknownPlaceholders(file);
+    if (unknown.length) errors.push(`${key} has unknown placeholder {${unknown[0]}} (use {yyyy}, {mm}, {dd}, {HH}, {runId}, {format} or {ext})`);
+  }
+  for (const format of Object.keys(config.output?.paths || {})) {
+    if (!OUTPUT_FORMATS.includes(format)) errors.push(`output.paths.${format} is not an output format (use ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  
+  for (const [format, file] of Object.entries(config.output?.templates || {})) {
+    if (!TEMPLATE_FORMATS.includes(format)) {
+      errors.push(`output.templates.${format} is not a templated format (use ${TEMPLATE_FORMATS.join(', ')})`);
+      continue;
+    }
+    try {
+      loadTemplate(getTemplateFile(format));
+    } catch (error) {
+      errors.push(`output.templates.${format}: ${error.message}`);
+    }
+  }
+  
+  if (config.site?.enabled && !getSiteArchive()) {
+    errors.push('site.enabled is true but neither site.archive nor output.paths.json is a dated template');
+  }
+  
+  const notif = config.notifications;
+  if (notif?.enabled && !notif.target && notif.recipients.length === 0) {
+    errors.push('notifications.enabled is true but there is no target or recipient');
+  }
+  if (notif?.outbox?.enabled && !notif.outbox.dir) {
+    errors.push('notifications.outbox.dir is required when the outbox is enabled');
+  }
+  return errors;
 }
 
 // Get gateway token from environment (security: use env var)
 const gatewayToken = process.env.OPENCLAW_GATEWAY_TOKEN || '';
 
 /**
- * Send message via OpenClaw gateway
+ * Messaging client for the configured transport (gateway HTTP API by default)
  */
-async function sendNotification(message) {
-  const notif = config.notifications;
-  
+function getMessagingClient(notif = config.notifications || {}) {
+  const gateway = notif.gateway || {};
+  return createMessagingClient({
+    transport: notif.transport || 'http',
+    url: gateway.url || null,
+    token: gatewayToken,
+    timeout: gateway.timeout,
+    retries: gateway.retries,
+    backoffMs: gateway.backoffMs,
+    cliPath: notif.cliPath,
+    receiptsFile: notif.receiptsFile ? path.resolve(__dirname, notif.receiptsFile) : null
+  });
+}
+
+/**
+ * Send one message, returning the gateway's message ID
+ * options: { idempotencyKey, format } (see messaging-client.js)
+ */
+async function sendMessage(channel, target, message, options = {}) {
+  const { messageId } = await getMessagingClient().send(channel, target, message, options);
+  return messageId;
+}
+
+/**
+ * Deliver a digest via OpenClaw gateway, split to fit the channel's limit
+ * notif.format is the message's format, so markup isn't cut apart (chunkMessage)
+ * and the gateway is told how to read it
+ * Returns the delivery outcome for the watchdog record:
+ *   { status: 'sent' | 'partial' | 'failed' | 'disabled', channel, target, parts, delivered, messageIds, error }
+ */
+async function sendNotification(message, notif = config.notifications, send = sendMessage) {
   if (!notif || !notif.enabled) {
     console.log(`${colors.yellow}Notifications disabled${colors.reset}`);
-    return;
+    return { status: 'disabled' };
   }
   
   const channel = notif.channel || 'whatsapp';
@@ -51,36 +189,115 @@ async function sendNotification(message) {
   
   if (!target) {
     console.log(`${colors.yellow}No notification target configured${colors.reset}`);
-    return;
+    return { status: 'disabled', channel, error: 'No notification target configured' };
+  }
+  
+  const parts = chunkMessage(message, channelLimit(channel, notif.maxMessageLength), { format: notif.format });
+  console.log(`${colors.cyan}Sending notification via ${channel}${parts.length > 1 ? ` in ${parts.length} parts` : ''}...${colors.reset}`);
+  
+  const outboxConfig = getOutboxConfig();
+  if (outboxConfig) {
+    return deliverViaOutbox(parts, { channel, target, recipient: notif.name || null, format: notif.format || null }, outboxConfig, send);
   }
   
-  console.log(`${colors.cyan}Sending notification via ${channel}...${colors.reset}`);
+  const outcome = { status: 'sent', channel, target, parts: parts.length, delivered: 0, messageIds: [], error: null };
+  for (const part of parts) {
+    try {
+      outcome.messageIds.push(await send(channel, target, part, { format: notif.format || null }));
+      outcome.delivered++;
+    } catch (error) {
+      // Stop at the first failure so parts never arrive out of order
+      outcome.status = outcome.delivered > 0 ? 'partial' : 'failed';
+      outcome.error = error.message;
+      console.log(`${colors.yellow}⚠ Failed to send notification (part ${outcome.delivered + 1}/${parts.length}): ${error.message}${colors.reset}`);
+      return outcome;
+    }
+  }
   
+  console.log(`${colors.green}✓ Notification sent (${outcome.messageIds.filter(Boolean).join(', ')})${colors.reset}`);
+  return outcome;
+}
+
+function getOutboxConfig() {
+  // On by default (see config-schema.js)
+  const box = config.notifications?.outbox || {};
+  if (box.enabled === false) return null;
+  return {
+    dir: path.resolve(__dirname, box.dir || '/tmp/news-outbox'),
+    expiryHours: box.expiryHours ?? 12,
+    maxAttempts: box.maxAttempts ?? 10,
+    lock: { waitMs: (box.lockWaitSeconds ?? 30) * 1000 }
+  };
+}
+
+/**
+ * Queue the parts in the outbox, then try to deliver them straight away
+ * Parts that fail stay queued for `send-pending`.
+ */
+async function deliverViaOutbox(parts, { channel, target, recipient, format }, outboxConfig, send) {
+  const entries = outbox.enqueue(outboxConfig.dir, parts.map(text => ({ channel, target, recipient, format, text })), {
+    expiryHours: outboxConfig.expiryHours
+  });
+  let result;
   try {
-    // Use openclaw CLI to send message
-    const escapedMessage = message.replace(/"/g, '\\"');
-    const cmd = `openclaw message send --channel ${channel} --target "${target}" -m "${escapedMessage}" --json`;
-    
-    const response = execSync(cmd, {
-      encoding: 'utf8',
-      maxBuffer: 1024 * 1024,
-      timeout: 20000,  // 20 second timeout
-      env: { ...process.env, OPENCLAW_GATEWAY_TOKEN: gatewayToken }
+    result = await outbox.flush(outboxConfig.dir, send, {
+      group: entries[0].group,
+      maxAttempts: outboxConfig.maxAttempts,
+      lock: outboxConfig.lock
     });
-    
-    const result = JSON.parse(response);
-    
-    if (result.messageId || result.id) {
-      console.log(`${colors.green}✓ Notification sent (${result.messageId || result.id})${colors.reset}`);
-    } else if (result.error) {
-      console.log(`${colors.yellow}⚠ Notification error: ${result.error}${colors.reset}`);
-    } else {
-      console.log(`${colors.yellow}⚠ Notification response: ${response.substring(0, 200)}${colors.reset}`);
-    }
-    
   } catch (error) {
-    console.log(`${colors.yellow}⚠ Failed to send notification: ${error.message}${colors.reset}`);
+    if (error.code !== 'ELOCKED') throw error;
+    // Another run is flushing: the parts stay queued for send-pending
+    result = { sent: [], failed: [], expired: [], dead: [], held: entries, error: error.message };
+  }
+  
+  const delivered = result.sent.length;
+  const queued = result.failed.length + result.held.length;
+  const outcome = {
+    status: delivered === parts.length ? 'sent' : (delivered > 0 ? 'partial' : 'failed'),
+    channel,
+    target,
+    parts: parts.length,
+    delivered,
+    queued,
+    messageIds: result.sent.map(entry => entry.messageId),
+    error: result.failed[0]?.lastError || result.dead[0]?.lastError || result.error || null
+  };
+  
+  if (outcome.status === 'sent') {
+    console.log(`${colors.green}✓ Notification sent (${outcome.messageIds.filter(Boolean).join(', ')})${colors.reset}`);
+  } else {
+    console.log(`${colors.yellow}⚠ Failed to send notification (${delivered}/${parts.length} parts sent): ${outcome.error}${colors.reset}`);
+    if (queued > 0) {
+      console.log(`${colors.yellow}  ${queued} part(s) kept in ${outboxConfig.dir} - retry with: node fetch-news.js send-pending${colors.reset}`);
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Redeliver everything waiting in the outbox (the `send-pending` command)
+ */
+async function sendPending(send = sendMessage) {
+  const outboxConfig = getOutboxConfig();
+  if (!outboxConfig) {
+    console.log(`${colors.yellow}Outbox disabled (notifications.outbox.enabled)${colors.reset}`);
+    return null;
+  }
+  
+  const pending = outbox.list(outboxConfig.dir);
+  console.log(`${colors.cyan}Outbox: ${pending.length} pending message(s) in ${outboxConfig.dir}${colors.reset}`);
+  if (pending.length === 0) return { sent: [], failed: [], expired: [], dead: [], held: [] };
+  
+  const result = await outbox.flush(outboxConfig.dir, send, { maxAttempts: outboxConfig.maxAttempts, lock: outboxConfig.lock });
+  console.log(`${colors.green}  Sent: ${result.sent.length}${colors.reset}`);
+  if (result.failed.length || result.held.length) {
+    console.log(`${colors.yellow}  Still pending: ${result.failed.length + result.held.length}${result.failed[0] ? ` (${result.failed[0].lastError})` : ''}${colors.reset}`);
+  }
+  if (result.expired.length || result.dead.length) {
+    console.log(`${colors.red}  Given up: ${result.expired.length} expired, ${result.dead.length} out of attempts${colors.reset}`);
   }
+  return result;
 }
 
 // Colors
@@ -94,32 +311,38 @@ const colors = {
 };
 
 /**
- * Check if headline passes filters
+ * Why a headline is filtered out, or null if it passes
  */
-function passesFilters(headline) {
+function filterReason(headline) {
   const lower = headline.toLowerCase();
   const len = headline.length;
   const f = config.filter;
   
   // Length check
-  if (len < f.minLength || len > f.maxLength) {
-    return false;
-  }
+  if (len < f.minLength) return `too short (${len} < ${f.minLength})`;
+  if (len > f.maxLength) return `too long (${len} > ${f.maxLength})`;
   
   // Pattern exclusion
   for (const pattern of f.excludePatterns) {
     if (lower.includes(pattern.toLowerCase())) {
-      return false;
+      return `excluded pattern "${pattern}"`;
     }
   }
   
   // Keyword inclusion (if any keywords specified)
   if (f.keywords.length > 0) {
     const matches = f.keywords.some(k => lower.includes(k.toLowerCase()));
-    if (!matches) return false;
+    if (!matches) return 'no keyword match';
   }
   
-  return true;
+  return null;
+}
+
+/**
+ * Check if headline passes filters
+ */
+function passesFilters(headline) {
+  return filterReason(headline) === null;
 }
 
 /**
@@ -137,11 +360,51 @@ function cleanHeadline(text) {
     .trim();
 }
 
+/**
+ * Convert a Brave search result into a feed item
+ */
+function braveResultToItem(result) {
+  const published = result.page_age ? new Date(result.page_age) : null;
+  return {
+    title: cleanHeadline(result.title),
+    link: webLink(result.url),
+    guid: result.url || '',
+    pubDate: published && !isNaN(published.getTime()) ? published : null,
+    description: cleanHeadline(result.description || ''),
+    author: result.meta_url?.hostname || '',
+    categories: [],
+    comments: null,
+    // Discussion/video results carry engagement counts
+    braveMeta: {
+      views: result.video?.views,
+      comments: result.data?.num_answers ?? result.num_comments,
+      score: result.data?.score
+    }
+  };
+}
+
+/**
+ * Build HTTP client options from config
+ */
+function httpOptions(headers) {
+  const h = config.http || {};
+  return {
+    headers,
+    timeout: config.timeout,
+    deadline: h.deadline,
+    maxBytes: h.maxBytes,
+    maxRedirects: h.maxRedirects
+  };
+}
+
 /**
  * Fetch news from Brave Search API via OpenClaw Gateway
+ * Returns every titled result, unfiltered; throws if both routes fail
  */
 async function fetchFromBrave(source) {
   console.log(`${colors.cyan}Fetching from Brave Search API (via gateway)...${colors.reset}`);
+  const query = source.query || 'top business finance news today';
+  const toItems = results => results.filter(result => result.title).map(braveResultToItem);
   
   try {
     // Try OpenClaw gateway API first
@@ -151,79 +414,98 @@ async function fetchFromBrave(source) {
       throw new Error('OPENCLAW_GATEWAY_TOKEN not configured');
     }
     
-    const query = source.query || 'top business finance news today';
     const searchUrl = `${gatewayUrl}/api/v1/tools/web/search?q=${encodeURIComponent(query)}&count=${source.maxHeadlines}`;
     
-    const response = execSync(
-      `curl -s "${searchUrl}" -H "Authorization: Bearer ${gatewayToken}" -H "Accept: application/json" --max-time ${config.timeout / 1000}`,
-      {
-        encoding: 'utf8',
-        maxBuffer: 2 * 1024 * 1024
-      }
-    );
-    
-    const data = JSON.parse(response);
-    const headlines = [];
+    const response = assertOk(await request(searchUrl, httpOptions({
+      'Authorization': `Bearer ${gatewayToken}`,
+      'Accept': 'application/json'
+    })));
     
-    // Handle OpenClaw gateway response format
-    if (data.results && Array.isArray(data.results)) {
-      for (const result of data.results) {
-        if (result.title && passesFilters(result.title)) {
-          headlines.push(result.title);
-        }
-      }
-    } else if (Array.isArray(data)) {
-      // Direct array response
-      for (const item of data) {
-        if (item.title && passesFilters(item.title)) {
-          headlines.push(item.title);
-        }
-      }
-    }
+    const data = JSON.parse(response.body);
     
-    console.log(`${colors.green}  Found ${headlines.length} headlines${colors.reset}`);
-    return headlines.slice(0, source.maxHeadlines);
+    // Handle OpenClaw gateway response format (or a direct array response)
+    return toItems(Array.isArray(data.results) ? data.results : (Array.isArray(data) ? data : []));
     
   } catch (error) {
     console.log(`${colors.yellow}  Gateway unavailable (${error.message}), falling back to direct API...${colors.reset}`);
     
     // Fallback to direct API with proper headers
-    try {
-      const braveApiKey = config.braveApiKey;
-      
-      if (!braveApiKey) {
-        throw new Error('BRAVE_API_KEY not configured (neither in config nor env var)');
-      }
-      
-      const query = source.query || 'top business finance news today';
-      
-      const response = execSync(
-        `curl -s "https://api.search.brave.com/v1/search?q=${encodeURIComponent(query)}&source=news&count=${source.maxHeadlines}" -H "Accept: application/json" -H "X-Subscription-Token: ${braveApiKey}" -H "User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" --max-time ${config.timeout / 1000}`,
-        {
-          encoding: 'utf8',
-          maxBuffer: 2 * 1024 * 1024
-        }
-      );
-      
-      const data = JSON.parse(response);
-      const headlines = [];
-      
-      if (data.results && Array.isArray(data.results)) {
-        for (const result of data.results) {
-          if (result.title && passesFilters(result.title)) {
-            headlines.push(result.title);
-          }
-        }
-      }
-      
-      console.log(`${colors.green}  Found ${headlines.length} headlines${colors.reset}`);
-      return headlines.slice(0, source.maxHeadlines);
-      
-    } catch (fallbackError) {
-      console.log(`${colors.red}  Error: ${fallbackError.message}${colors.reset}`);
-      return [];
+    const braveApiKey = config.braveApiKey;
+    
+    if (!braveApiKey) {
+      throw new Error('BRAVE_API_KEY not configured (neither in config nor env var)');
     }
+    
+    const searchUrl = `https://api.search.brave.com/v1/search?q=${encodeURIComponent(query)}&source=news&count=${source.maxHeadlines}`;
+    const response = assertOk(await request(searchUrl, httpOptions({
+      'Accept': 'application/json',
+      'X-Subscription-Token': braveApiKey,
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    })));
+    
+    const data = JSON.parse(response.body);
+    return toItems(Array.isArray(data.results) ? data.results : []);
+  }
+}
+
+/**
+ * Check a response content type is something we can pull headlines from
+ * (feeds, HTML and JSON; servers often mislabel feeds as text/plain)
+ */
+function isSupportedContentType(contentType) {
+  return !contentType ||
+    contentType.startsWith('text/') ||
+    contentType.includes('xml') ||
+    contentType.includes('json') ||
+    contentType.includes('html');
+}
+
+/**
+ * Extract items from a fetched document
+ * Feeds (RSS, Atom, RDF, JSON Feed) yield full items; plain HTML pages fall
+ * back to <h1-h4> headings, which only carry a title.
+ */
+function extractItems(body) {
+  const feed = parseFeed(body);
+  const items = [];
+  const seen = new Set();
+  
+  const candidates = feed.format
+    ? feed.items
+    : (body.match(/<h[1-4][^>]*>([^<]{30,200})<\/h[1-4]>/gi) || []).map(h => ({
+      title: h, link: '', guid: '', pubDate: null, description: '', author: '', categories: [], comments: null
+    }));
+  
+  for (const candidate of candidates) {
+    const title = cleanHeadline(candidate.title);
+    if (!title || seen.has(title)) continue;
+    seen.add(title);
+    items.push({ ...candidate, title, description: cleanHeadline(candidate.description || '') });
+  }
+  
+  return items;
+}
+
+/**
+ * Fetch a source's items before filtering
+ * Returns { items, notModified }; throws on network or content errors
+ */
+async function fetchRawItems(source) {
+  // Handle Brave Search API
+  if (source.type === 'api' && source.api === 'brave') {
+    return { items: await fetchFromBrave(source), notModified: false };
   }
+  
+  const response = assertOk(await conditionalGet(source.url, {
+    ...httpOptions({ 'User-Agent': config.userAgent }),
+    cacheDir: config.http?.conditional === false ? null : config.http?.cacheDir
+  }));
+  
+  if (!isSupportedContentType(response.contentType)) {
+    throw new Error(`Unsupported content type: ${response.contentType}`);
+  }
+  
+  return { items: extractItems(response.body), notModified: response.notModified };
 }
 
 /**
@@ -237,103 +519,130 @@ async function fetchNews(source) {
     return [];
   }
   
-  // Handle Brave Search API
-  if (source.type === 'api' && source.api === 'brave') {
-    return await fetchFromBrave(source);
-  }
-  
   try {
-    const response = execSync(
-      `curl -s -L "${source.url}" -H "User-Agent: ${config.userAgent}" --max-time ${config.timeout / 1000} 2>/dev/null`,
-      {
-        encoding: 'utf8',
-        maxBuffer: 2 * 1024 * 1024
-      }
-    );
-    
-    const headlines = [];
-    
-    // Pattern 1: RSS <title> with CDATA or plain
-    let match;
-    // CDATA format: <title><![CDATA[...]]></title>
-    const cdataRegex = /<title><!\[CDATA\[(.+?)\]\]><\/title>/gi;
-    while ((match = cdataRegex.exec(response)) !== null) {
-      const clean = cleanHeadline(match[1]);
-      if (passesFilters(clean) && !headlines.includes(clean)) {
-        headlines.push(clean);
-      }
-    }
-    
-    // Plain format: <title>...</title> inside <item> tags
-    if (headlines.length < source.maxHeadlines) {
-      // Match title tags anywhere in the response (handles RSS variations)
-      const plainRegex = /<item[^>]*>[\s\S]*?<title>([^<]{30,200})<\/title>/gi;
-      while ((match = plainRegex.exec(response)) !== null) {
-        const clean = cleanHeadline(match[1]);
-        if (passesFilters(clean) && !headlines.includes(clean)) {
-          headlines.push(clean);
-        }
-      }
-    }
-    
-    // Pattern 2: <h1-h4> elements
-    if (headlines.length < source.maxHeadlines) {
-      const hTags = response.match(/<h[1-4][^>]*>([^<]{30,200})<\/h[1-4]>/gi);
-      if (hTags) {
-        for (const h of hTags) {
-          const clean = cleanHeadline(h);
-          if (passesFilters(clean) && !headlines.includes(clean)) {
-            headlines.push(clean);
-          }
-        }
-      }
-    }
+    const { items, notModified } = await fetchRawItems(source);
     
-    const filtered = headlines.slice(0, source.maxHeadlines);
-    console.log(`${colors.green}  Found ${filtered.length} headlines${colors.reset}`);
+    const filtered = items.filter(item => passesFilters(item.title)).slice(0, source.maxHeadlines);
+    const cacheNote = notModified ? ' (not modified, from cache)' : '';
+    console.log(`${colors.green}  [${source.name}] Found ${filtered.length} headlines${cacheNote}${colors.reset}`);
     return filtered;
     
   } catch (error) {
-    console.log(`${colors.red}  Error: ${error.message}${colors.reset}`);
+    console.log(`${colors.red}  [${source.name}] Error: ${error.message}${colors.reset}`);
     return [];
   }
 }
 
 /**
- * Summarize a headline
+ * Fetch one source (even if disabled) and explain what the filters kept
+ * Returns { source, items: [{ title, link, pubDate, kept, reason }], kept, error }
  */
-function summarize(headline) {
-  // Take first sentence or first 100 chars
-  let summary = headline.split(/[.!?](?:\s+|$)/)[0].trim();
-  if (summary.length > 100) {
-    summary = summary.substring(0, 97) + '...';
+async function testSource(source) {
+  try {
+    const { items, notModified } = await fetchRawItems(source);
+    let kept = 0;
+    const annotated = items.map(item => {
+      let reason = filterReason(item.title);
+      if (!reason && kept >= source.maxHeadlines) reason = `over maxHeadlines (${source.maxHeadlines})`;
+      if (!reason) kept++;
+      return { title: item.title, link: item.link, pubDate: item.pubDate, kept: !reason, reason };
+    });
+    return { source: source.name, notModified, items: annotated, kept, error: null };
+  } catch (error) {
+    return { source: source.name, notModified: false, items: [], kept: 0, error: error.message };
   }
-  return summary;
 }
 
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+// Chat apps whose messages use their own markup rather than the markdown digest
+const CHANNEL_FORMATS = Object.keys(CHANNEL_MARKUP);
+
+// Formats rendered through a template (templates/<format>.mustache by default)
+const TEMPLATE_FORMATS = ['markdown', 'plain', 'html', ...CHANNEL_FORMATS];
+
 /**
- * Format news for WhatsApp (Markdown)
+ * Template file for a format: output.templates, else the shipped default
  */
-function formatMarkdown(topNews, allNews, date, elapsed) {
-  let message = `📰 **Morning News Summary** — ${date}
+function getTemplateFile(format) {
+  const configured = config.output?.templates?.[format];
+  return configured ? path.resolve(__dirname, configured) : path.join(__dirname, 'templates', `${format}.mustache`);
+}
 
-*Consolidated from ${allNews.length} sources, top ${topNews.length} stories:*
+/**
+ * Render a format's template; values are HTML-escaped in html templates and
+ * escaped for the app in a chat app's template
+ */
+function renderTemplate(format, view) {
+  const escape = format === 'html' ? escapeHtml : CHANNEL_MARKUP[format] || null;
+  return loadTemplate(getTemplateFile(format))(view, { escape });
+}
 
-`;
-  
-  for (let i = 0; i < topNews.length; i++) {
-    const item = topNews[i];
-    message += `${i + 1}. ${item.headline}
-`;
-    message += `   Sources: ${item.sources.join(', ')}
+/**
+ * Template fields for one story: everything in the story plus
+ * rank, tags [{ label, name, href, first }], tagList and sourceList
+ */
+function storyView({ story, rank }, tagHref = null) {
+  const tags = (story.entities || []).map((entity, i) => ({
+    label: entityLabel(entity),
+    name: entity.name || '',
+    href: tagHref ? tagHref(entity) : null,
+    first: i === 0
+  }));
+  // Archived digests predate link checking, so check again before rendering
+  const link = webLink(story.link) || null;
+  return {
+    ...story,
+    rank,
+    link,
+    // For chat markup, where the link goes in unescaped
+    encodedLink: link && encodeLink(link),
+    summary: story.summary || null,
+    continuing: !!story.continuing,
+    score: story.score ?? null,
+    tags,
+    tagList: tags.map(tag => tag.label).join(', '),
+    sourceList: story.sources.join(', ')
+  };
+}
 
-`;
-  }
-  
-  message += `---
-*Auto-generated by OpenClaw* | Fetched in ${elapsed}s`;
-  
-  return message;
+/**
+ * Template fields for a digest (see "Templates" in README.md)
+ */
+function digestView(topNews, allNews, date, elapsed, fetchResults = []) {
+  return {
+    date,
+    elapsed,
+    generated: new Date().toISOString(),
+    sourceCount: allNews.length,
+    storyCount: topNews.length,
+    sources: fetchResults.map(r => ({ name: r.source, success: !!r.success, headlineCount: r.items?.length || 0 })),
+    stories: topNews.map((story, i) => storyView({ story, rank: i + 1 })),
+    sections: groupByTopic(topNews).map(group => ({
+      topic: group.topic,
+      label: group.topic?.label || null,
+      labelUpper: group.topic ? group.topic.label.toUpperCase() : null,
+      underline: group.topic ? '-'.repeat(group.topic.label.length) : null,
+      href: null,
+      stories: group.stories.map(entry => storyView(entry))
+    }))
+  };
+}
+
+/**
+ * Format news for WhatsApp (Markdown)
+ */
+function formatMarkdown(topNews, allNews, date, elapsed, fetchResults) {
+  return renderTemplate('markdown', digestView(topNews, allNews, date, elapsed, fetchResults));
+}
+
+/**
+ * Format news in a chat app's own markup (a CHANNEL_FORMATS entry)
+ */
+function formatMessage(channel, topNews, allNews, date, elapsed, fetchResults) {
+  return renderTemplate(channel, digestView(topNews, allNews, date, elapsed, fetchResults));
 }
 
 /**
@@ -348,84 +657,80 @@ function formatJSON(topNews, allNews, date, elapsed, fetchResults) {
       topStories: topNews.length,
       fetchDurationSeconds: parseFloat(elapsed)
     },
+    sections: groupByTopic(topNews).filter(g => g.topic).map(g => ({
+      id: g.topic.id,
+      label: g.topic.label,
+      ranks: g.stories.map(s => s.rank)
+    })),
     topStories: topNews.map((item, i) => ({
       rank: i + 1,
       headline: item.headline,
+      alternateHeadlines: item.alternateHeadlines || [],
+      link: item.link || null,
+      summary: item.summary || null,
+      summaryMethod: item.summary ? (item.summaryMethod || 'extractive') : null,
       sources: item.sources,
-      sourceCount: item.sources.length
+      sourceCount: item.sources.length,
+      publishedAt: item.publishedAt || null,
+      engagement: item.engagement || null,
+      entities: item.entities || [],
+      topic: item.topic || null,
+      continuing: !!item.continuing,
+      firstSentAt: item.firstSentAt || null,
+      score: item.score,
+      scoreBreakdown: item.scoreBreakdown,
+      articles: item.articles
     })),
     rawSources: allNews.map(ns => ({
       source: ns.source,
-      headlineCount: ns.headlines.length
+      headlineCount: ns.items.length
     })),
     sourceResults: fetchResults.map(r => ({
       source: r.source,
       success: r.success,
-      headlineCount: r.headlines?.length || 0
+      headlineCount: r.items?.length || 0
     }))
   }, null, 2);
 }
 
+/**
+ * Render a page of the archive site with the html template
+ * page: {
+ *   title, heading, meta, footer,
+ *   nav: [{ label, href }],
+ *   groups: [{ label, href, stories: [{ story, rank }] }]  (no label: no heading),
+ *   lists: [{ label, items: [{ label, href, note }] }],
+ *   tagHref(entity) -> link for a tag, or null
+ * }
+ */
+function renderHtmlPage(page) {
+  return renderTemplate('html', {
+    page: { title: page.title, heading: page.heading, meta: page.meta, footer: page.footer },
+    nav: (page.nav || []).map((item, i) => ({ label: item.label, href: item.href || null, first: i === 0 })),
+    sections: (page.groups || []).map(group => ({
+      label: group.label || null,
+      href: group.href || null,
+      stories: group.stories.map(entry => storyView(entry, page.tagHref))
+    })),
+    lists: (page.lists || []).map(list => ({
+      label: list.label,
+      items: list.items.map(item => ({ label: item.label, href: item.href || null, note: item.note || null }))
+    }))
+  });
+}
+
 /**
  * Format news as HTML
  */
-function formatHTML(topNews, allNews, date, elapsed) {
-  const stories = topNews.map((item, i) => `
-    <article>
-      <h3>${i + 1}. ${escapeHtml(item.headline)}</h3>
-      <p class="sources">Sources: ${item.sources.map(s => escapeHtml(s)).join(', ')}</p>
-    </article>
-  `).join('');
-  
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Morning News Summary - ${date}</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; background: #f5f5f5; }
-    h1 { color: #1a1a1a; border-bottom: 2px solid #0066cc; padding-bottom: 10px; }
-    .meta { color: #666; font-size: 0.9em; margin-bottom: 20px; }
-    article { background: white; padding: 15px; margin-bottom: 15px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
-    article h3 { margin: 0 0 10px 0; color: #333; }
-    .sources { color: #666; font-size: 0.85em; margin: 0; }
-    footer { text-align: center; color: #999; font-size: 0.8em; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; }
-  </style>
-</head>
-<body>
-  <h1>📰 Morning News Summary</h1>
-  <p class="meta">${date} | ${allNews.length} sources | Top ${topNews.length} stories</p>
-  ${stories}
-  <footer>Auto-generated by OpenClaw | Fetched in ${elapsed}s</footer>
-</body>
-</html>`;
+function formatHTML(topNews, allNews, date, elapsed, fetchResults) {
+  return renderTemplate('html', digestView(topNews, allNews, date, elapsed, fetchResults));
 }
 
 /**
  * Format news as plain text
  */
-function formatPlain(topNews, allNews, date, elapsed) {
-  let text = `MORNING NEWS SUMMARY - ${date}
-${'='.repeat(40)}
-
-Consolidated from ${allNews.length} sources, top ${topNews.length} stories:
-
-`;
-  
-  for (let i = 0; i < topNews.length; i++) {
-    const item = topNews[i];
-    text += `${i + 1}. ${item.headline}
-   Sources: ${item.sources.join(', ')}
-
-`;
-  }
-  
-  text += `${'='.repeat(40)}
-Auto-generated by OpenClaw | Fetched in ${elapsed}s
-`;
-  
-  return text;
+function formatPlain(topNews, allNews, date, elapsed, fetchResults) {
+  return renderTemplate('plain', digestView(topNews, allNews, date, elapsed, fetchResults));
 }
 
 /**
@@ -436,18 +741,119 @@ function escapeHtml(text) {
   return text.replace(/[&<>"']/g, c => map[c]);
 }
 
+// Formats that publish the digest as a feed of stories
+const FEED_FORMATS = ['rss', 'atom'];
+
 /**
- * Get output path for format
+ * Feed channel and rolling window settings (output.feed)
  */
-function getOutputPath(format) {
-  const base = '/tmp/latest-news';
-  const formats = {
-    markdown: '.md',
-    json: '.json',
-    html: '.html',
-    plain: '.txt'
+function getFeedConfig() {
+  const feed = config.output?.feed || {};
+  return {
+    title: feed.title || 'OpenClaw Morning News',
+    link: feed.link || 'https://github.com/clawoneloke/openclaw-news',
+    description: feed.description || 'Top stories consolidated from our news sources',
+    selfLink: feed.selfLink || null,
+    stateFile: path.resolve(__dirname, feed.stateFile || '/tmp/news-feed-entries.json'),
+    maxEntries: feed.maxEntries ?? 50,
+    maxAgeDays: feed.maxAgeDays ?? 7
   };
-  return (base + (formats[format] || '.txt')).replace('/tmp/', '/tmp/news-');
+}
+
+/**
+ * This run's stories merged into the entries of previous runs
+ */
+function feedEntries(stories, now = Date.now()) {
+  const feed = getFeedConfig();
+  return feedWriter.mergeEntries(feedWriter.readEntries(feed.stateFile), stories, {
+    now,
+    maxEntries: feed.maxEntries,
+    maxAgeDays: feed.maxAgeDays
+  });
+}
+
+/**
+ * Format news as an RSS or Atom feed (previous runs' entries included)
+ */
+function formatFeed(format, stories, now = Date.now()) {
+  const render = format === 'atom' ? feedWriter.renderAtom : feedWriter.renderRss;
+  return render(feedEntries(stories, now), getFeedConfig(), now);
+}
+
+/**
+ * Placeholder values for this run's output paths (dates in cron.timezone)
+ */
+function outputRun(now = Date.now()) {
+  return outputFiles.runInfo(now, config.cron?.timezone);
+}
+
+/**
+ * Path template for a format: output.paths, else /tmp/news-latest-news.<ext>
+ * ('default' is outputFile). Relative paths are relative to this directory;
+ * outDir replaces the fixed directory part.
+ */
+function getOutputTemplate(format, outDir = null) {
+  const configured = format === 'default'
+    ? config.outputFile || OUTPUT_FILE
+    : config.output?.paths?.[format] || `/tmp/news-latest-news.${outputFiles.EXTENSIONS[format] || 'txt'}`;
+  return outputFiles.resolveTemplate(configured, { baseDir: __dirname, outDir });
+}
+
+/**
+ * Get output path for format in a run (see outputs.js for the placeholders)
+ */
+function getOutputPath(format, outDir = null, run = outputRun()) {
+  const ext = outputFiles.EXTENSIONS[format] || 'txt';
+  return outputFiles.expandPath(getOutputTemplate(format, outDir), { ...run, format: format || 'plain', ext });
+}
+
+/**
+ * Delete archived outputs older than output.retentionDays
+ * written: [{ template, file, pointer }] from this run, which are kept
+ */
+function pruneOutputs(written) {
+  const retentionDays = config.output?.retentionDays;
+  if (!retentionDays) return 0;
+  const keep = written.flatMap(w => [w.file, w.pointer]).filter(Boolean);
+  const templates = [...new Set(written.map(w => w.template).filter(outputFiles.isTemplate))];
+  let removed = 0;
+  for (const template of templates) {
+    try {
+      removed += outputFiles.prune(template, retentionDays, { timeZone: config.cron?.timezone, keep }).length;
+    } catch (e) {
+      console.log(`${colors.yellow}⚠ Could not prune ${template}: ${e.message}${colors.reset}`);
+    }
+  }
+  if (removed > 0) console.log(`${colors.cyan}Pruned ${removed} output file(s) older than ${retentionDays} days${colors.reset}`);
+  return removed;
+}
+
+/**
+ * Archive the site is built from: site.archive, else output.paths.json
+ * Returns an absolute path template, or null if neither is a template
+ */
+function getSiteArchive() {
+  const archive = config.site?.archive || config.output?.paths?.json;
+  return archive && outputFiles.isTemplate(archive) ? path.resolve(__dirname, archive) : null;
+}
+
+/**
+ * Build the static archive site (see site.js)
+ * options: { dir } overrides site.dir
+ * Returns { dir, days, pages, removed }
+ */
+function buildArchiveSite(options = {}) {
+  const archive = getSiteArchive();
+  if (!archive) {
+    throw new Error('The archive site needs site.archive or output.paths.json to be a dated template, e.g. "archive/{yyyy}/{mm}/{dd}.json"');
+  }
+  return archiveSite.buildSite({
+    archive,
+    dir: options.dir ? path.resolve(options.dir) : path.resolve(__dirname, config.site?.dir || 'site'),
+    title: config.site?.title,
+    timeZone: config.cron?.timezone,
+    renderPage: renderHtmlPage
+  });
 }
 
 /**
@@ -458,13 +864,13 @@ async function fetchNewsWithRetry(source, maxRetries = 2) {
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const headlines = await fetchNews(source);
-      if (headlines.length > 0) {
-        return { source: source.name, headlines, success: true };
+      const items = await fetchNews(source);
+      if (items.length > 0) {
+        return { source: source.name, items, success: true };
       }
       // Empty result on last attempt
       if (attempt === maxRetries) {
-        return { source: source.name, headlines: [], success: false, error: 'No headlines after all retries' };
+        return { source: source.name, items: [], success: false, error: 'No headlines after all retries' };
       }
     } catch (error) {
       lastError = error;
@@ -475,20 +881,14 @@ async function fetchNewsWithRetry(source, maxRetries = 2) {
     }
   }
   
-  return { source: source.name, headlines: [], success: false, error: lastError?.message || 'Unknown error' };
+  return { source: source.name, items: [], success: false, error: lastError?.message || 'Unknown error' };
 }
 
 /**
- * Main
+ * Fetch every enabled source in parallel
+ * Returns { results, allNews, failures, sourceCount }
  */
-async function main() {
-  console.log(`${colors.green}${colors.bold}📰 OpenClaw News Fetcher${colors.reset}`);
-  console.log(`${colors.cyan}Running: ${new Date().toLocaleString()}${colors.reset}`);
-  console.log(`${colors.cyan}Config: ${CONFIG_FILE}${colors.reset}\n`);
-  
-  const startTime = Date.now();
-  
-  // Fetch news from configured sources IN PARALLEL
+async function fetchAllSources() {
   const enabledSources = config.sources.filter(s => s.enabled);
   console.log(`${colors.cyan}Fetching from ${enabledSources.length} sources in parallel...${colors.reset}\n`);
   
@@ -498,59 +898,143 @@ async function main() {
   
   // Filter to only successful fetches
   const allNews = results
-    .filter(r => r.headlines.length > 0)
-    .map(r => ({ source: r.source, headlines: r.headlines }));
+    .filter(r => r.items.length > 0)
+    .map(r => ({ source: r.source, items: r.items }));
   
   // Log summary of failures
-  const failures = results.filter(r => r.headlines.length === 0);
+  const failures = results.filter(r => r.items.length === 0);
   if (failures.length > 0) {
     console.log(`${colors.yellow}⚠ ${failures.length} source(s) failed:${colors.reset}`);
     failures.forEach(f => console.log(`  - ${f.source}: ${f.error}`));
   }
   
-  if (allNews.length === 0) {
-    console.log(`${colors.red}⚠️ No news fetched${colors.reset}`);
-    fs.writeFileSync(OUTPUT_FILE, '⚠️ Could not fetch news this morning. Try again tomorrow.');
-    return;
-  }
-  
-  // Consolidate and rank news
-  const topNews = consolidateNews(allNews);
+  return { results, allNews, failures, sourceCount: enabledSources.length };
+}
+
+/**
+ * Consolidate and rank news once, then pick the main digest and each recipient's
+ * Returns { recipients, topNews, recipientNews, render, elapsed }
+ */
+async function buildDigests({ results, allNews }, startTime) {
+  const recipients = getRecipients();
+  const ranked = rankNews(allNews);
+  const mainDigest = selectDigest(ranked);
+  const [topNews, ...recipientNews] = await summarizeDigests([
+    mainDigest,
+    ...recipients.map(recipient => selectForRecipient(ranked, recipient, mainDigest))
+  ]);
   
-  // Format consolidated news
   const date = new Date().toLocaleDateString('en-NZ', { 
     weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' 
   });
-  
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   
-  // Determine output formats from config (default: markdown for WhatsApp)
-  const outputFormats = config.output?.formats || ['markdown'];
+  const formatters = { markdown: formatMarkdown, json: formatJSON, html: formatHTML, plain: formatPlain };
+  const render = (format, stories) => {
+    if (FEED_FORMATS.includes(format)) return formatFeed(format, stories, startTime);
+    if (CHANNEL_FORMATS.includes(format)) return formatMessage(format, stories, allNews, date, elapsed, results);
+    return formatters[format](stories, allNews, date, elapsed, results);
+  };
+  return { recipients, topNews, recipientNews, render, elapsed };
+}
+
+/**
+ * Main
+ * options: { send = true, dryRun = false, outDir = null }
+ *   send: false writes the outputs only; dryRun writes, sends and records nothing
+ * Returns a run summary: { runId, sourcesFetched, sourcesFailed, stories, outputs, delivery }
+ */
+async function main(options = {}) {
+  const { send = true, dryRun = false, outDir = null } = options;
+  console.log(`${colors.green}${colors.bold}📰 OpenClaw News Fetcher${colors.reset}`);
+  console.log(`${colors.cyan}Running: ${new Date().toLocaleString()}${colors.reset}`);
+  console.log(`${colors.cyan}Config: ${configFile}${colors.reset}${dryRun ? `${colors.yellow} (dry run)${colors.reset}` : ''}\n`);
   
-  // Generate output for each format
-  const outputs = {
-    markdown: formatMarkdown(topNews, allNews, date, elapsed),
-    json: formatJSON(topNews, allNews, date, elapsed, results),
-    html: formatHTML(topNews, allNews, date, elapsed),
-    plain: formatPlain(topNews, allNews, date, elapsed)
+  const startTime = Date.now();
+  const run = outputRun(startTime);
+  const written = [];
+  // Atomic write, plus the latest pointer for a templated path
+  const writeOutput = (format, content) => {
+    const file = getOutputPath(format, outDir, run);
+    if (dryRun) return file;
+    const template = getOutputTemplate(format, outDir);
+    outputFiles.writeAtomic(file, content);
+    const pointer = config.output?.latest !== false ? outputFiles.latestPath(template, path.extname(file).slice(1)) : null;
+    if (pointer) outputFiles.pointLatest(pointer, file);
+    written.push({ template, file, pointer });
+    return file;
   };
   
+  // Fetch news from configured sources IN PARALLEL
+  const fetched = await fetchAllSources();
+  const { allNews, failures } = fetched;
+  
+  if (allNews.length === 0) {
+    console.log(`${colors.red}⚠️ No news fetched${colors.reset}`);
+    writeOutput('default', '⚠️ Could not fetch news this morning. Try again tomorrow.');
+    return { runId: run.runId, sourcesFetched: 0, sourcesFailed: failures.length, stories: 0, outputs: {}, delivery: { status: 'skipped', reason: 'no news' } };
+  }
+  
+  const { recipients, topNews, recipientNews, render, elapsed } = await buildDigests(fetched, startTime);
+  
+  // Determine output formats from config (default: markdown for WhatsApp)
+  const outputFormats = config.output?.formats || ['markdown'];
+  
   // Write output files
   console.log(`\n${colors.green}${colors.bold}✓ Complete!${colors.reset}`);
-  console.log(`${colors.cyan}Fetched from ${allNews.length}/${enabledSources.length} sources in ${elapsed}s${colors.reset}\n`);
-  console.log(`${colors.cyan}Output formats:${colors.reset}`);
+  console.log(`${colors.cyan}Fetched from ${allNews.length}/${fetched.sourceCount} sources in ${elapsed}s${colors.reset}\n`);
+  console.log(`${colors.cyan}Output formats${dryRun ? ' (not written, dry run)' : ''}:${colors.reset}`);
   
+  const outputs = {};
   for (const format of outputFormats) {
-    if (outputs[format]) {
-      const outputPath = getOutputPath(format);
-      fs.writeFileSync(outputPath, outputs[format]);
+    if (OUTPUT_FORMATS.includes(format)) {
+      const outputPath = writeOutput(format, render(format, topNews));
+      outputs[format] = outputPath;
       console.log(`  ${colors.green}✓${colors.reset} ${format.toUpperCase()}: ${outputPath}`);
     }
   }
   
-  // Also write default /tmp/latest-news.txt for backward compatibility
-  fs.writeFileSync(OUTPUT_FILE, outputs.markdown);
-  console.log(`  ${colors.green}✓${colors.reset} DEFAULT: ${OUTPUT_FILE}`);
+  // Also write outputFile (default /tmp/latest-news.txt) for backward compatibility
+  outputs.default = writeOutput('default', render('markdown', topNews));
+  console.log(`  ${colors.green}✓${colors.reset} DEFAULT: ${outputs.default}`);
+  pruneOutputs(written);
+  // The feed's rolling window moves on only once its files are written
+  if (!dryRun && outputFormats.some(format => FEED_FORMATS.includes(format))) {
+    feedWriter.writeEntries(getFeedConfig().stateFile, feedEntries(topNews, startTime));
+  }
+  if (config.site?.enabled && !dryRun) {
+    try {
+      const site = buildArchiveSite();
+      console.log(`  ${colors.green}✓${colors.reset} SITE: ${site.dir} (${site.days} days, ${site.pages} pages)`);
+    } catch (e) {
+      console.log(`${colors.yellow}⚠ Could not build the archive site: ${e.message}${colors.reset}`);
+    }
+  }
+  
+  // Deliver the digest (fetch / --no-send writes the outputs only)
+  let delivery;
+  if (dryRun) {
+    console.log('');
+    delivery = planDelivery(recipients, recipientNews, render);
+  } else if (!send) {
+    console.log(`\n${colors.yellow}Delivery skipped (--no-send)${colors.reset}`);
+    delivery = { status: 'skipped', reason: '--no-send' };
+  } else {
+    console.log('');
+    delivery = await deliverToRecipients(recipients, recipientNews, render);
+  }
+  const summary = { runId: run.runId, sourcesFetched: allNews.length, sourcesFailed: failures.length, stories: topNews.length, outputs, delivery };
+  if (dryRun) return summary;
+  
+  // Remember what went out so tomorrow's digest can skip or flag repeats
+  const remembered = storiesToRemember(delivery, recipientNews, topNews);
+  if (remembered.length > 0) {
+    try {
+      rememberSentStories(remembered);
+    } catch (e) {
+      console.log(`${colors.yellow}⚠ Could not update story memory: ${e.message}${colors.reset}`);
+    }
+  }
   
   // Record watchdog file for monitoring
   try {
@@ -559,19 +1043,90 @@ async function main() {
       success: true,
       sourcesFetched: allNews.length,
       sourcesFailed: failures.length,
-      durationSeconds: parseFloat(elapsed)
+      durationSeconds: parseFloat(elapsed),
+      delivery
     }));
   } catch (e) {
     console.log(`${colors.yellow}⚠ Could not write watchdog file${colors.reset}`);
   }
+  return summary;
+}
+
+/**
+ * Print one digest without writing, sending or recording anything
+ * options: { format = 'markdown', recipient = null }
+ */
+async function preview(options = {}) {
+  const format = options.format || 'markdown';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(', ')} (got "${format}")`);
+  }
+  const startTime = Date.now();
+  const fetched = await fetchAllSources();
+  if (fetched.allNews.length === 0) throw new Error('No news fetched');
+  
+  const { recipients, topNews, recipientNews, render } = await buildDigests(fetched, startTime);
+  if (!options.recipient) return render(format, topNews);
+  
+  const index = recipients.findIndex(r => r.name === options.recipient);
+  if (index < 0) {
+    throw new Error(`No recipient named "${options.recipient}" (have: ${recipients.map(r => r.name).join(', ') || 'none'})`);
+  }
+  return render(options.format ? format : messageFormat(recipients[index]), recipientNews[index]);
 }
 
-// Run
-main().catch(err => {
-  console.error(`${colors.red}Error: ${err.message}${colors.reset}`);
-  process.exit(1);
-});
+// ============================================================================
+// SCHEDULER
+// ============================================================================
 
+/**
+ * Run the pipeline once in a child process, so every run reads the current
+ * config and a crashed run can't take the daemon down with it
+ */
+function runPipelineProcess(args = []) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [__filename, ...args], { cwd: __dirname, stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      if (code === 0) resolve();
+      else reject(new Error(signal ? `Pipeline killed by ${signal}` : `Pipeline exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Long-running mode: run the pipeline on the config's cron schedule
+ * args are the command line for each run (e.g. ['send', '--config', file])
+ */
+function runDaemon(args = []) {
+  const scheduler = createScheduler({
+    configFile,
+    run: () => runPipelineProcess(args),
+    log: message => console.log(`${colors.cyan}[scheduler ${new Date().toISOString()}]${colors.reset} ${message}`)
+  });
+  
+  console.log(`${colors.green}${colors.bold}📰 OpenClaw News Scheduler${colors.reset}`);
+  console.log(`${colors.cyan}Config: ${configFile} (watching for changes)${colors.reset}\n`);
+  scheduler.start();
+  
+  return new Promise(resolve => {
+    const shutdown = signal => {
+      console.log(`\n${colors.yellow}${signal} received, stopping scheduler${scheduler.running ? ' after the current run' : ''}...${colors.reset}`);
+      scheduler.stop().then(resolve);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+}
+
+/**
+ * The next planned run times
+ * Returns { enabled, expression, timezone, runs: [ms] }
+ */
+function plannedRuns(count = 5) {
+  const { enabled, schedule, timezone } = loadSchedule(configFile);
+  return { enabled, expression: schedule.expression, timezone, runs: nextRuns(schedule, Date.now(), timezone, count) };
+}
 
 // ============================================================================
 // NEWS CONSOLIDATION ALGORITHM
@@ -591,11 +1146,24 @@ const STOP_WORDS = new Set([
   'that', 'which', 'who', 'whom', 'this', 'these', 'those', 'it'
 ]);
 
+// Normalizer is rebuilt only when the normalization config object changes
+let normalizerCache = { options: undefined, normalizer: null };
+
+function getNormalizer() {
+  const options = config.consolidation?.normalization;
+  if (!normalizerCache.normalizer || normalizerCache.options !== options) {
+    normalizerCache = { options, normalizer: createNormalizer(options || {}) };
+  }
+  return normalizerCache.normalizer;
+}
+
 function preprocessText(text) {
-  return text.toLowerCase()
+  const normalizer = getNormalizer();
+  return normalizer.text(text.toLowerCase())
     .replace(/[^\w\s]/g, '')
     .split(/\s+/)
-    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(normalizer.token);
 }
 
 function jaccardSimilarity(tokens1, tokens2) {
@@ -606,67 +1174,949 @@ function jaccardSimilarity(tokens1, tokens2) {
   return union.size ? intersection.size / union.size : 0;
 }
 
+/**
+ * Smoothed inverse document frequency over a set of token lists
+ * Terms never seen get the maximum weight.
+ */
+function buildIdf(documents) {
+  const df = new Map();
+  for (const tokens of documents) {
+    for (const token of new Set(tokens)) {
+      df.set(token, (df.get(token) || 0) + 1);
+    }
+  }
+  const n = documents.length;
+  const idf = new Map();
+  for (const [token, count] of df) {
+    idf.set(token, Math.log((1 + n) / (1 + count)) + 1);
+  }
+  idf.unseen = Math.log(1 + n) + 1;
+  return idf;
+}
+
+function tfidfVector(tokens, idf) {
+  const vector = new Map();
+  for (const token of tokens) {
+    vector.set(token, (vector.get(token) || 0) + 1);
+  }
+  for (const [token, tf] of vector) {
+    vector.set(token, tf * (idf.get(token) ?? idf.unseen));
+  }
+  return vector;
+}
+
+function cosineSimilarity(vector1, vector2) {
+  let dot = 0, norm1 = 0, norm2 = 0;
+  for (const [token, weight] of vector1) {
+    norm1 += weight * weight;
+    if (vector2.has(token)) dot += weight * vector2.get(token);
+  }
+  for (const weight of vector2.values()) norm2 += weight * weight;
+  return norm1 && norm2 ? dot / Math.sqrt(norm1 * norm2) : 0;
+}
+
+/**
+ * Headline token lists from previous digests, used to stabilise IDF
+ */
+function loadArchiveDocuments() {
+  const file = config.consolidation?.memory?.file;
+  if (!file) return [];
+  return storyStore.readEntries(path.resolve(__dirname, file)).flatMap(entry => entry.signatures);
+}
+
+// Extractor is rebuilt only when the entities config object changes
+let extractorCache = { options: undefined, extract: null };
+
+function getEntityExtractor() {
+  const options = config.entities;
+  if (options?.enabled === false) return () => [];
+  if (!extractorCache.extract || extractorCache.options !== options) {
+    extractorCache = { options, extract: createExtractor(loadDictionary(options || {}, __dirname)) };
+  }
+  return extractorCache.extract;
+}
+
+/**
+ * Entities mentioned by an item (title, plus description if configured)
+ */
+function extractEntities(item) {
+  const extract = getEntityExtractor();
+  const text = config.entities?.scanDescriptions ? `${item.title}\n${item.description || ''}` : item.title;
+  return extract(text || '');
+}
+
+function entityKeys(item) {
+  return (item.entities || []).map(entityLabel);
+}
+
+const SIMILARITY_METRICS = ['jaccard', 'tfidf'];
+
+function getSimilarityMetric() {
+  const metric = config.consolidation?.similarity ?? 'jaccard';
+  if (!SIMILARITY_METRICS.includes(metric)) {
+    throw new Error(`consolidation.similarity must be one of ${SIMILARITY_METRICS.join(', ')} (got "${metric}")`);
+  }
+  return metric;
+}
+
 function getSimilarityThreshold() {
   return config.consolidation?.similarityThreshold ?? 0.5;
 }
 
-function groupSimilarHeadlines(allItems) {
-  const threshold = getSimilarityThreshold();
-  const clusters = [];
-  const assigned = new Set();
+const LINKAGES = ['single', 'average', 'complete'];
+
+function getLinkage() {
+  const linkage = config.consolidation?.linkage ?? 'average';
+  if (!LINKAGES.includes(linkage)) {
+    throw new Error(`consolidation.linkage must be one of ${LINKAGES.join(', ')} (got "${linkage}")`);
+  }
+  return linkage;
+}
+
+/**
+ * Canonical sort key so clustering never depends on source order in config
+ */
+function canonicalKey(item) {
+  return `${item.headline.toLowerCase()}\u0000${item.source}\u0000${item.link || ''}`;
+}
+
+/**
+ * Pairwise headline similarity matrix
+ * Jaccard treats every token equally; TF-IDF cosine down-weights tokens
+ * common across this run and the archive ("markets", "stocks").
+ */
+function similarityMatrix(items, archiveDocuments = null) {
+  const tokens = items.map(item => preprocessText(item.headline));
+  let similarity = (i, j) => jaccardSimilarity(tokens[i], tokens[j]);
   
-  for (let i = 0; i < allItems.length; i++) {
-    if (assigned.has(i)) continue;
-    const cluster = [allItems[i]];
-    assigned.add(i);
-    
-    for (let j = i + 1; j < allItems.length; j++) {
-      if (assigned.has(j)) continue;
-      const similarity = jaccardSimilarity(
-        preprocessText(allItems[i].headline),
-        preprocessText(allItems[j].headline)
-      );
-      if (similarity >= threshold) {
-        cluster.push(allItems[j]);
-        assigned.add(j);
+  if (getSimilarityMetric() === 'tfidf') {
+    const idf = buildIdf([...tokens, ...(archiveDocuments ?? loadArchiveDocuments())]);
+    const vectors = tokens.map(t => tfidfVector(t, idf));
+    similarity = (i, j) => cosineSimilarity(vectors[i], vectors[j]);
+  }
+  
+  // Shared companies/tickers pull headlines together
+  const entityWeight = config.entities?.clusteringWeight ?? 0.2;
+  const entities = items.map(entityKeys);
+  const withEntityBonus = (i, j, base) => {
+    if (!entityWeight || !entities[i].length || !entities[j].length) return base;
+    return Math.min(1, base + entityWeight * jaccardSimilarity(entities[i], entities[j]));
+  };
+  
+  const matrix = items.map(() => new Array(items.length).fill(0));
+  for (let i = 0; i < items.length; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < items.length; j++) {
+      matrix[i][j] = matrix[j][i] = withEntityBonus(i, j, similarity(i, j));
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Single linkage: connected components of the graph whose edges are
+ * pairs with similarity >= threshold (union-find)
+ */
+function connectedComponents(matrix, threshold) {
+  const parent = matrix.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  
+  for (let i = 0; i < matrix.length; i++) {
+    for (let j = i + 1; j < matrix.length; j++) {
+      if (matrix[i][j] >= threshold) {
+        const a = find(i), b = find(j);
+        // Root at the lower index keeps component order deterministic
+        if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
       }
     }
-    clusters.push(cluster);
   }
+  
+  const components = new Map();
+  matrix.forEach((_, i) => {
+    const root = find(i);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(i);
+  });
+  return [...components.values()];
+}
+
+/**
+ * Agglomerative clustering with average or complete linkage
+ * Repeatedly merges the most similar pair of clusters until no pair reaches
+ * the threshold. Ties go to the pair with the lowest canonical indices.
+ */
+function agglomerate(matrix, threshold, linkage) {
+  let clusters = matrix.map((_, i) => [i]);
+  
+  const linkSimilarity = (a, b) => {
+    let total = 0;
+    let min = Infinity;
+    for (const i of a) {
+      for (const j of b) {
+        total += matrix[i][j];
+        min = Math.min(min, matrix[i][j]);
+      }
+    }
+    return linkage === 'complete' ? min : total / (a.length * b.length);
+  };
+  
+  for (;;) {
+    let best = null;
+    for (let x = 0; x < clusters.length; x++) {
+      for (let y = x + 1; y < clusters.length; y++) {
+        const similarity = linkSimilarity(clusters[x], clusters[y]);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { x, y, similarity };
+        }
+      }
+    }
+    if (!best) break;
+    
+    const merged = [...clusters[best.x], ...clusters[best.y]].sort((a, b) => a - b);
+    clusters = clusters.filter((_, k) => k !== best.x && k !== best.y);
+    clusters.push(merged);
+    clusters.sort((a, b) => a[0] - b[0]);
+  }
+  
   return clusters;
 }
 
+/**
+ * Group items covering the same story
+ * Output is identical whatever order the items (sources) come in.
+ */
+function groupSimilarHeadlines(allItems) {
+  const threshold = getSimilarityThreshold();
+  const linkage = getLinkage();
+  
+  const items = [...allItems].sort((a, b) => {
+    const ka = canonicalKey(a), kb = canonicalKey(b);
+    return ka < kb ? -1 : ka > kb ? 1 : 0;
+  });
+  const matrix = similarityMatrix(items);
+  
+  const clusters = linkage === 'single'
+    ? connectedComponents(matrix, threshold)
+    : agglomerate(matrix, threshold, linkage);
+  
+  return clusters.map(indices => indices.map(i => items[i]));
+}
+
+/**
+ * Entities across a cluster, most frequently mentioned first
+ */
+function mergeEntities(cluster) {
+  const counts = new Map();
+  for (const item of cluster) {
+    for (const entity of item.entities || []) {
+      const key = entityLabel(entity);
+      const existing = counts.get(key);
+      counts.set(key, { entity: existing?.entity || entity, count: (existing?.count || 0) + 1 });
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1].count - a[1].count || (a[0] < b[0] ? -1 : 1))
+    .map(([, { entity }]) => entity);
+}
+
+/**
+ * Freshest valid publication time in a cluster (ms since epoch), or null
+ */
+function latestPublished(cluster) {
+  const times = cluster
+    .map(item => item.pubDate ? new Date(item.pubDate).getTime() : NaN)
+    .filter(t => !isNaN(t));
+  return times.length ? Math.max(...times) : null;
+}
+
+const HEADLINE_STRATEGIES = ['centroid', 'sourcePriority', 'shortest', 'longest'];
+
+// "... - Bloomberg", "... | Reuters", "... — The Verge", "... - cnbc.com"
+const PUBLISHER_SUFFIX_PATTERN = /\s+[-–—|]\s+([^-–—|]+)$/;
+
+// Publishers that aggregators (Google News, Yahoo) append to headlines;
+// consolidation.headline.publishers adds more
+const KNOWN_PUBLISHERS = [
+  'Associated Press', 'AP', 'AP News', 'Axios', "Barron's", 'BBC', 'BBC News', 'Bloomberg',
+  'Business Insider', 'CNBC', 'CNN', 'CNN Business', 'CoinDesk', 'Decrypt', 'Financial Times', 'FT',
+  'Forbes', 'Fortune', 'Fox Business', 'Investopedia', "Investor's Business Daily", 'MarketWatch',
+  'Morningstar', 'New York Times', 'NYT', 'NPR', 'Politico', 'Reuters', 'Seeking Alpha', 'TechCrunch',
+  'The Guardian', 'The Verge', 'Wall Street Journal', 'WSJ', 'Washington Post', 'Yahoo Finance', 'Yahoo News'
+];
+
+// "The Verge" and "the  verge" name the same publisher
+const publisherKey = name => name.toLowerCase().replace(/^the\s+/, '').replace(/\s+/g, ' ').trim();
+
+function getHeadlineConfig() {
+  const headline = config.consolidation?.headline || {};
+  const strategy = headline.strategy ?? 'centroid';
+  if (!HEADLINE_STRATEGIES.includes(strategy)) {
+    throw new Error(`consolidation.headline.strategy must be one of ${HEADLINE_STRATEGIES.join(', ')} (got "${strategy}")`);
+  }
+  return {
+    strategy,
+    sourcePriority: headline.sourcePriority || [],
+    stripPublisherSuffix: headline.stripPublisherSuffix !== false,
+    publishers: new Set([...KNOWN_PUBLISHERS, ...(headline.publishers || [])].map(publisherKey)),
+    stripTitleCaseSuffix: headline.stripTitleCaseSuffix === true
+  };
+}
+
+/**
+ * Remove a trailing publisher name from a headline
+ * The whole suffix must be the item's source name, a known publisher or a
+ * domain ("Fed holds - slowdown shows signs" is kept). With
+ * stripTitleCaseSuffix, a short Capitalized Name without digits is stripped
+ * too - at the cost of clauses like "Apple beats - Shares Jump".
+ */
+function stripPublisherSuffix(headline, source = '', options = getHeadlineConfig()) {
+  const match = headline.match(PUBLISHER_SUFFIX_PATTERN);
+  if (!match) return headline;
+  const suffix = match[1].trim();
+  const rest = headline.slice(0, match.index).trim();
+  if (rest.split(/\s+/).length < 3) return headline;
+  
+  const key = publisherKey(suffix);
+  const isSource = !!source && key === publisherKey(source);
+  const isPublisher = options.publishers.has(key);
+  const isDomain = /^[\w-]+(\.[\w-]+)+$/.test(suffix);
+  const words = suffix.split(/\s+/);
+  const isName = options.stripTitleCaseSuffix && words.length <= 4 && !/\d/.test(suffix) &&
+    words.every(w => /^[A-Z&]/.test(w) || /^(of|the|and|on)$/.test(w));
+  return isSource || isPublisher || isDomain || isName ? rest : headline;
+}
+
+/**
+ * A headline that wasn't cut off by the publisher ("Fed signals cuts as...")
+ */
+function isCompleteHeadline(headline) {
+  return !/(\.\.\.|…)$/.test(headline) && headline.split(/\s+/).length >= 4;
+}
+
+/**
+ * Pick the member whose headline represents the cluster
+ *   centroid       - highest total similarity to the other members
+ *   sourcePriority - first listed source present, else centroid
+ *   shortest       - shortest complete headline
+ *   longest        - longest headline
+ * Ties prefer the shorter headline, then the canonical order.
+ */
+function chooseHeadline(cluster, options = getHeadlineConfig(), archiveDocuments = null) {
+  const ranked = [...cluster].sort((a, b) => a.headline.length - b.headline.length ||
+    (canonicalKey(a) < canonicalKey(b) ? -1 : 1));
+  if (ranked.length === 1) return ranked[0];
+  
+  const centroid = candidates => {
+    const matrix = similarityMatrix(candidates, archiveDocuments);
+    const totals = matrix.map(row => row.reduce((sum, v) => sum + v, 0));
+    return candidates[totals.indexOf(Math.max(...totals))];
+  };
+  
+  switch (options.strategy) {
+    case 'longest':
+      return ranked.reduce((a, b) => b.headline.length > a.headline.length ? b : a);
+    case 'shortest':
+      return ranked.find(item => isCompleteHeadline(item.headline)) || ranked[ranked.length - 1];
+    case 'sourcePriority':
+      for (const source of options.sourcePriority) {
+        const match = ranked.find(item => item.source === source);
+        if (match) return match;
+      }
+      return centroid(ranked);
+    default:
+      return centroid(ranked);
+  }
+}
+
 function consolidateClusters(clusters) {
+  const engagementProviders = resolveProviders(config.consolidation?.engagement, __dirname);
+  const headlineOptions = getHeadlineConfig();
+  const archiveDocuments = headlineOptions.strategy !== 'longest' && getSimilarityMetric() === 'tfidf'
+    ? loadArchiveDocuments()
+    : null;
   const consolidated = [];
   for (const cluster of clusters) {
     const sources = new Set(cluster.map(item => item.source));
-    const longest = cluster.reduce((a, b) => a.headline.length > b.headline.length ? a : b);
+    const chosen = chooseHeadline(cluster, headlineOptions, archiveDocuments);
+    const alternates = new Map();
+    for (const item of cluster) {
+      const key = item.headline.toLowerCase();
+      if (key !== chosen.headline.toLowerCase() && !alternates.has(key)) alternates.set(key, item.headline);
+    }
+    const published = latestPublished(cluster);
     consolidated.push({
-      headline: longest.headline,
+      headline: chosen.headline,
+      link: chosen.link || cluster.find(item => item.link)?.link || '',
+      alternateHeadlines: [...alternates.values()],
       sources: Array.from(sources),
-      sourceCount: sources.size
+      sourceCount: sources.size,
+      publishedAt: published !== null ? new Date(published).toISOString() : null,
+      engagement: measureEngagement(cluster, engagementProviders),
+      entities: mergeEntities(cluster),
+      articles: cluster.map(item => ({
+        source: item.source,
+        title: item.title,
+        link: item.link || null,
+        guid: item.guid || null,
+        pubDate: item.pubDate ? new Date(item.pubDate).toISOString() : null,
+        author: item.author || null,
+        categories: item.categories || [],
+        comments: item.comments ?? null,
+        description: item.description || null
+      }))
     });
   }
   return consolidated;
 }
 
-function scoreItems(consolidatedItems) {
+/**
+ * Time-decay recency in [0, 1]: 1 when just published, halving every
+ * halfLifeHours. Items without a publication time get the fallback.
+ */
+function recencyScore(publishedAt, now, halfLifeHours, fallback) {
+  if (!publishedAt) return fallback;
+  const published = new Date(publishedAt).getTime();
+  if (isNaN(published)) return fallback;
+  // Clock skew between publishers can put pubDates slightly in the future
+  const ageHours = Math.max(0, (now - published) / (60 * 60 * 1000));
+  return Math.pow(0.5, ageHours / halfLifeHours);
+}
+
+/**
+ * Normalized engagement in [0, 1], or the fallback when no signal is known
+ */
+function engagementScore(engagement, maxEngagement, fallback) {
+  if (!engagement) return fallback;
+  return Math.min(engagement.total / maxEngagement, 1.0);
+}
+
+function scoreItems(consolidatedItems, now = Date.now()) {
   const scoring = config.consolidation?.scoring ?? {};
   const sourceWeight = scoring.sourceCountWeight ?? 2.0;
   const recencyWeight = scoring.recencyWeight ?? 1.0;
+  const halfLifeHours = scoring.recencyHalfLifeHours ?? 12;
+  const recencyFallback = scoring.recencyFallback ?? 0.5;
+  const engagementWeight = scoring.engagementWeight ?? 0.5;
+  const maxEngagement = scoring.maxEngagement ?? 500;
+  const engagementFallback = scoring.engagementFallback ?? 0.3;
   
   return consolidatedItems.map(item => {
     const sourceScore = item.sourceCount * sourceWeight;
-    const totalScore = sourceScore + recencyWeight * 0.5;
-    return { ...item, score: totalScore };
+    const recency = recencyScore(item.publishedAt, now, halfLifeHours, recencyFallback);
+    const recencyComponent = recencyWeight * recency;
+    const engagementComponent = engagementWeight * engagementScore(item.engagement, maxEngagement, engagementFallback);
+    const totalScore = sourceScore + recencyComponent + engagementComponent;
+    return {
+      ...item,
+      score: totalScore,
+      scoreBreakdown: { sourceCount: sourceScore, recency: recencyComponent, engagement: engagementComponent }
+    };
   }).sort((a, b) => b.score - a.score);
 }
 
-function consolidateNews(allHeadlines) {
-  const maxItems = config.consolidation?.maxItems ?? config.maxItems ?? 3;
+// ============================================================================
+// CROSS-DAY STORY MEMORY
+// ============================================================================
+
+function getMemoryConfig() {
+  const memory = config.consolidation?.memory;
+  if (!memory?.enabled || !memory.file) return null;
+  return {
+    file: path.resolve(__dirname, memory.file),
+    lookbackDays: memory.lookbackDays ?? 3,
+    mode: memory.mode === 'suppress' ? 'suppress' : 'continuing',
+    threshold: memory.similarityThreshold ?? getSimilarityThreshold(),
+    retentionDays: memory.retentionDays ?? 30
+  };
+}
+
+/**
+ * Token signature of each headline in a story, for cross-day matching
+ */
+function storySignatures(story) {
+  return story.articles
+    .map(article => preprocessText(article.title || ''))
+    .filter(tokens => tokens.length > 0);
+}
+
+/**
+ * Suppress or mark stories already sent within the lookback window
+ */
+function applyStoryMemory(stories, now = Date.now()) {
+  const memory = getMemoryConfig();
+  if (!memory) return stories;
+  
+  const recent = storyStore.loadRecent(memory.file, memory.lookbackDays, now);
+  if (recent.length === 0) return stories;
+  
+  const result = [];
+  let matched = 0;
+  for (const story of stories) {
+    const match = storyStore.findMatch(storySignatures(story), recent, memory.threshold);
+    if (!match) {
+      result.push(story);
+      continue;
+    }
+    matched++;
+    if (memory.mode === 'continuing') {
+      result.push({ ...story, continuing: true, firstSentAt: match.entry.sentAt });
+    }
+  }
+  
+  if (matched > 0) {
+    const action = memory.mode === 'suppress' ? 'Suppressed' : 'Marked';
+    console.log(`${colors.cyan}${action} ${matched} stor${matched === 1 ? 'y' : 'ies'} already sent in the last ${memory.lookbackDays} days${colors.reset}`);
+  }
+  return result;
+}
+
+/**
+ * Record stories that went out in this run's digest
+ */
+function rememberSentStories(stories, now = Date.now()) {
+  const memory = getMemoryConfig();
+  if (!memory || stories.length === 0) return;
+  
+  storyStore.recordSent(memory.file, stories.map(story => ({
+    headline: story.headline,
+    sources: story.sources,
+    signatures: storySignatures(story)
+  })), { now, retentionDays: memory.retentionDays });
+}
+
+// ============================================================================
+// STORY SUMMARIES
+// ============================================================================
+
+const SUMMARY_METHODS = ['centroid', 'textrank'];
+
+// Feed boilerplate that never belongs in a summary
+const BOILERPLATE_PATTERN = /appeared first on|read more|continue reading|click here|subscribe to/i;
+
+// "U.S. Treasury", "Apple Inc. said", "Jan. 5" don't end a sentence
+const ABBREVIATION_PATTERN = /(?:\b(?:[A-Za-z]\.){2,}|\b(?:Mr|Mrs|Ms|Dr|Prof|Inc|Corp|Co|Ltd|Plc|St|Jr|Sr|vs|No|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)\.)$/;
+
+function getSummaryConfig() {
+  const summary = config.summary;
+  if (summary?.enabled === false) return null;
+  const method = summary?.method ?? 'centroid';
+  if (!SUMMARY_METHODS.includes(method)) {
+    throw new Error(`summary.method must be one of ${SUMMARY_METHODS.join(', ')} (got "${method}")`);
+  }
+  return {
+    method,
+    maxSentences: summary?.maxSentences ?? 2,
+    maxLength: summary?.maxLength ?? 280,
+    minSentenceLength: summary?.minSentenceLength ?? 30
+  };
+}
+
+/**
+ * Split description text into sentences
+ */
+function splitSentences(text) {
+  const sentences = [];
+  for (const part of text.split(/(?<=[.!?]["'”’)]?)\s+(?=["'“‘(]?[A-Z0-9$])/)) {
+    if (sentences.length && ABBREVIATION_PATTERN.test(sentences[sentences.length - 1])) {
+      sentences[sentences.length - 1] += ` ${part}`;
+    } else {
+      sentences.push(part);
+    }
+  }
+  return sentences.map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Centroid ranking: cosine similarity of each sentence to the TF-IDF
+ * centroid of all sentences in the cluster
+ */
+function centroidRank(sentenceTokens) {
+  const idf = buildIdf(sentenceTokens);
+  const vectors = sentenceTokens.map(tokens => tfidfVector(tokens, idf));
+  const centroid = new Map();
+  for (const vector of vectors) {
+    for (const [token, weight] of vector) {
+      centroid.set(token, (centroid.get(token) || 0) + weight);
+    }
+  }
+  return vectors.map(vector => cosineSimilarity(vector, centroid));
+}
+
+/**
+ * TextRank: PageRank over a graph of sentences weighted by normalized
+ * word overlap (Mihalcea & Tarau, 2004)
+ */
+function textRank(sentenceTokens, damping = 0.85, iterations = 30) {
+  const sets = sentenceTokens.map(tokens => new Set(tokens));
+  const weights = sets.map((a, i) => sets.map((b, j) => {
+    if (i === j) return 0;
+    const overlap = [...a].filter(t => b.has(t)).length;
+    const norm = Math.log(a.size) + Math.log(b.size);
+    return overlap / (norm > 0 ? norm : 1);
+  }));
+  const outWeight = weights.map(row => row.reduce((sum, w) => sum + w, 0));
+
+  let scores = sets.map(() => 1);
+  for (let iter = 0; iter < iterations; iter++) {
+    scores = sets.map((_, i) => (1 - damping) + damping * weights.reduce(
+      (sum, row, j) => outWeight[j] ? sum + (row[i] / outWeight[j]) * scores[j] : sum, 0));
+  }
+  return scores;
+}
+
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 3);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:]+$/, '')}...`;
+}
+
+/**
+ * Extractive summary of a story: the most informative 1-2 sentences across
+ * its articles' descriptions, in their original order. Sentences that just
+ * restate the headline or repeat an already-chosen sentence are skipped.
+ * Returns null when the cluster has no usable descriptions.
+ */
+function summarize(story, options = getSummaryConfig()) {
+  if (!options) return null;
+  const headlineTokens = preprocessText(story.headline);
+  const seen = new Set();
+  const candidates = [];
+  for (const article of story.articles || []) {
+    for (const sentence of splitSentences(article.description || '')) {
+      const key = sentence.toLowerCase();
+      if (sentence.length < options.minSentenceLength || seen.has(key) || BOILERPLATE_PATTERN.test(sentence)) continue;
+      seen.add(key);
+      const tokens = preprocessText(sentence);
+      if (tokens.length === 0 || jaccardSimilarity(tokens, headlineTokens) >= 0.8) continue;
+      candidates.push({ sentence, tokens, order: candidates.length });
+    }
+  }
+  if (candidates.length === 0) return null;
+
+  const rank = options.method === 'textrank' ? textRank : centroidRank;
+  const scores = rank(candidates.map(c => c.tokens));
+  const ranked = candidates
+    .map((candidate, i) => ({ ...candidate, score: scores[i] }))
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+  const chosen = [];
+  let length = 0;
+  for (const candidate of ranked) {
+    if (chosen.length >= options.maxSentences) break;
+    if (chosen.some(c => jaccardSimilarity(c.tokens, candidate.tokens) >= 0.5)) continue;
+    // A second sentence must fit whole; only a lone sentence gets truncated
+    if (chosen.length && length + 1 + candidate.sentence.length > options.maxLength) continue;
+    chosen.push(candidate);
+    length += (chosen.length > 1 ? 1 : 0) + candidate.sentence.length;
+  }
+
+  const text = chosen.sort((a, b) => a.order - b.order).map(c => c.sentence).join(' ');
+  return truncateText(text, options.maxLength);
+}
+
+// Errors that mean the endpoint is unreachable, so later stories needn't try
+const UNREACHABLE_CODES = new Set(['ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN']);
+
+function getAbstractiveConfig() {
+  const abstractive = config.summary?.abstractive;
+  if (!abstractive?.enabled) return null;
+  const gatewayUrl = process.env.OPENCLAW_GATEWAY_URL || 'http://127.0.0.1:18789';
+  return {
+    url: abstractive.url || `${gatewayUrl}/api/v1/tools/summarize`,
+    token: gatewayToken,
+    model: abstractive.model || null,
+    timeout: abstractive.timeout ?? 20000,
+    maxTokensPerRun: abstractive.maxTokensPerRun ?? 4000,
+    maxOutputTokens: abstractive.maxOutputTokens ?? 160,
+    cacheFile: abstractive.cacheFile ? path.resolve(__dirname, abstractive.cacheFile) : null,
+    cacheTtlHours: abstractive.cacheTtlHours ?? 72
+  };
+}
+
+/**
+ * Replace extractive summaries with gateway syntheses where possible
+ * Stories go in rank order so the token budget is spent on the top of the
+ * digest; any failure keeps that story's extractive summary.
+ */
+async function applyAbstractiveSummaries(stories, now = Date.now()) {
+  const options = getAbstractiveConfig();
+  if (!options || stories.length === 0) return stories;
+  
+  const summarizer = createAbstractiveSummarizer({ ...options, now });
+  const result = [];
+  let unreachable = null;
+  for (const story of stories) {
+    if (unreachable) {
+      result.push(story);
+      continue;
+    }
+    try {
+      const { summary } = await summarizer.summarize(story);
+      result.push({ ...story, summary, summaryMethod: 'abstractive' });
+    } catch (error) {
+      console.log(`${colors.yellow}  Abstractive summary failed for "${story.headline.substring(0, 40)}..." (${error.message}), using extractive${colors.reset}`);
+      if (UNREACHABLE_CODES.has(error.code)) unreachable = error;
+      result.push(story);
+    }
+  }
+  
+  try {
+    summarizer.saveCache();
+  } catch (e) {
+    console.log(`${colors.yellow}⚠ Could not write summary cache: ${e.message}${colors.reset}`);
+  }
+  const abstractiveCount = result.filter(s => s.summaryMethod === 'abstractive').length;
+  console.log(`${colors.cyan}Abstractive summaries: ${abstractiveCount}/${stories.length} (${summarizer.tokensUsed}/${options.maxTokensPerRun} tokens)${colors.reset}`);
+  return result;
+}
+
+// ============================================================================
+// TOPICS
+// ============================================================================
+
+let topicsCache = { options: undefined, sections: null };
+
+/**
+ * Configured topic sections, or null when topics are off
+ */
+function getTopicSections() {
+  const options = config.topics;
+  if (topicsCache.options !== options) {
+    const sections = options?.enabled ? getSections(options) : [];
+    topicsCache = { options, sections: sections.length ? sections : null };
+  }
+  return topicsCache.sections;
+}
+
+/**
+ * Pick the top maxItems stories, within per-topic quotas when topics are on
+ */
+function selectTopStories(scored, maxItems) {
+  const sections = getTopicSections();
+  return sections ? selectByQuota(scored, sections, preprocessText, maxItems) : scored.slice(0, maxItems);
+}
+
+// ============================================================================
+// RECIPIENTS
+// ============================================================================
+
+const RECIPIENT_FORMATS = ['markdown', 'plain', 'html', 'json'];
+// Files only: a feed isn't something to message anyone
+const OUTPUT_FORMATS = [...RECIPIENT_FORMATS, ...FEED_FORMATS];
+
+/**
+ * Who to deliver to: notifications.recipients, or else the single
+ * channel/target pair (which gets the main digest)
+ */
+function getRecipients(notif = config.notifications) {
+  if (!notif) return [];
+  const base = { format: 'markdown', topics: [], keywords: [], tickers: [], maxItems: null, maxMessageLength: notif.maxMessageLength };
+  
+  if (!Array.isArray(notif.recipients) || notif.recipients.length === 0) {
+    return notif.target
+      ? [{ ...base, name: notif.target, channel: notif.channel || 'whatsapp', target: notif.target }]
+      : [];
+  }
   
-  const flatItems = allHeadlines.flatMap(ns => 
-    ns.headlines.map(h => ({ source: ns.source, headline: h }))
+  return notif.recipients.map((recipient, i) => {
+    const format = recipient.format || 'markdown';
+    if (!RECIPIENT_FORMATS.includes(format)) {
+      throw new Error(`notifications.recipients[${i}].format must be one of ${RECIPIENT_FORMATS.join(', ')} (got "${format}")`);
+    }
+    if (!recipient.target) {
+      throw new Error(`notifications.recipients[${i}] has no target`);
+    }
+    return {
+      ...base,
+      ...recipient,
+      name: recipient.name || recipient.target,
+      channel: recipient.channel || notif.channel || 'whatsapp',
+      format,
+      maxMessageLength: recipient.maxMessageLength ?? notif.maxMessageLength
+    };
+  }).filter(recipient => recipient.enabled !== false);
+}
+
+/**
+ * Format a recipient's messages are rendered in: a markdown recipient on
+ * whatsapp, slack, telegram or discord gets that app's markup instead,
+ * unless notifications.channelMarkup is false
+ */
+function messageFormat(recipient, notif = config.notifications) {
+  const channel = String(recipient.channel || '').toLowerCase();
+  if (recipient.format !== 'markdown' || notif?.channelMarkup === false) return recipient.format;
+  return CHANNEL_FORMATS.includes(channel) ? channel : recipient.format;
+}
+
+function hasSubscriptions(recipient) {
+  return recipient.topics.length > 0 || recipient.keywords.length > 0 || recipient.tickers.length > 0;
+}
+
+/**
+ * A recipient's stories, drawn from the full ranked list
+ * Stories match if they fall in one of the recipient's topics or mention
+ * one of their keywords or tickers. Recipients without subscriptions get
+ * the main digest (cut to their maxItems).
+ */
+function selectForRecipient(ranked, recipient, digest) {
+  if (!hasSubscriptions(recipient)) {
+    return recipient.maxItems != null ? digest.slice(0, recipient.maxItems) : digest;
+  }
+  
+  const maxItems = recipient.maxItems ?? config.consolidation?.maxItems ?? config.maxItems ?? 3;
+  // Topic subscriptions work even when the sectioned digest is turned off
+  const allSections = getSections(config.topics || {});
+  const rules = { keywords: recipient.keywords, entities: recipient.tickers };
+  const matched = ranked.filter(story => {
+    if (recipient.topics.length > 0) {
+      const section = classifyStory(story, allSections, preprocessText);
+      if (section && recipient.topics.includes(section.id)) return true;
+    }
+    return matchesRules(story, rules, preprocessText);
+  }).slice(0, maxItems);
+  
+  // Keep the sectioned layout when topics are on
+  const sections = getTopicSections();
+  const stories = sections
+    ? matched
+      .map(story => {
+        const section = classifyStory(story, sections, preprocessText);
+        return { ...story, topic: section ? { id: section.id, label: section.label } : null };
+      })
+      .map((story, order) => ({ story, order, section: story.topic ? sections.findIndex(s => s.id === story.topic.id) : sections.length }))
+      .sort((a, b) => a.section - b.section || a.order - b.order)
+      .map(({ story }) => story)
+    : matched;
+  return withSummaries(stories);
+}
+
+/**
+ * Run abstractive summaries once over every story in every digest
+ * (each story is summarized once, main digest first, within one budget)
+ */
+async function summarizeDigests(digests) {
+  const unique = new Map();
+  for (const stories of digests) {
+    for (const story of stories) {
+      if (!unique.has(story.headline)) unique.set(story.headline, story);
+    }
+  }
+  const summarized = new Map((await applyAbstractiveSummaries([...unique.values()])).map(s => [s.headline, s]));
+  return digests.map(stories => stories.map(story => ({
+    ...story,
+    summary: summarized.get(story.headline).summary,
+    summaryMethod: summarized.get(story.headline).summaryMethod
+  })));
+}
+
+/**
+ * Render and deliver each recipient's digest, in their channel's markup
+ * (messageFormat)
+ * render(format, stories) -> message text
+ * Returns { status, recipients: [{ name, status, channel, target, parts, delivered, messageIds, error }] }
+ */
+async function deliverToRecipients(recipients, digests, render, send = sendMessage) {
+  const notif = config.notifications;
+  if (!notif?.enabled) {
+    console.log(`${colors.yellow}Notifications disabled${colors.reset}`);
+    return { status: 'disabled', recipients: [] };
+  }
+  if (recipients.length === 0) {
+    console.log(`${colors.yellow}No notification target configured${colors.reset}`);
+    return { status: 'disabled', error: 'No notification target configured', recipients: [] };
+  }
+  
+  const results = [];
+  for (let i = 0; i < recipients.length; i++) {
+    const recipient = recipients[i];
+    if (digests[i].length === 0) {
+      console.log(`${colors.yellow}No matching stories for ${recipient.name}, nothing sent${colors.reset}`);
+      results.push({ name: recipient.name, status: 'empty', channel: recipient.channel, target: recipient.target });
+      continue;
+    }
+    const format = messageFormat(recipient, notif);
+    const outcome = await sendNotification(render(format, digests[i]), {
+      enabled: true,
+      name: recipient.name,
+      channel: recipient.channel,
+      target: recipient.target,
+      format,
+      maxMessageLength: recipient.maxMessageLength
+    }, send);
+    results.push({ name: recipient.name, ...outcome });
+  }
+  
+  const attempted = results.filter(r => r.status !== 'empty');
+  let status = 'partial';
+  if (attempted.length === 0) status = 'empty';
+  else if (attempted.every(r => r.status === 'sent')) status = 'sent';
+  else if (attempted.every(r => r.status === 'failed')) status = 'failed';
+  return { status, recipients: results };
+}
+
+/**
+ * Stories to remember after a run: the digest and every recipient's stories,
+ * less those that only went to recipients whose send failed (neither sent in
+ * full nor queued in the outbox), so they are offered again next time
+ * With notifications disabled or delivery skipped, the digest still reached
+ * readers through the output files, so all of it is remembered.
+ */
+function storiesToRemember(delivery, digests, topNews = []) {
+  const reached = result => result.status === 'sent' || result.queued > 0;
+  const stories = new Map(topNews.map(story => [story.headline, story]));
+  const delivered = new Set();
+  const failed = new Set();
+  (delivery.recipients || []).forEach((result, i) => {
+    if (result.status === 'empty' || result.status === 'dry-run') return;
+    for (const story of digests[i]) {
+      stories.set(story.headline, story);
+      (reached(result) ? delivered : failed).add(story.headline);
+    }
+  });
+  for (const headline of failed) {
+    if (!delivered.has(headline)) stories.delete(headline);
+  }
+  return [...stories.values()];
+}
+
+/**
+ * What deliverToRecipients would send, without sending (--dry-run)
+ */
+function planDelivery(recipients, digests, render) {
+  const notif = config.notifications;
+  if (!notif?.enabled) {
+    console.log(`${colors.yellow}Notifications disabled${colors.reset}`);
+    return { status: 'disabled', recipients: [] };
+  }
+  const planned = recipients.map((recipient, i) => {
+    const format = messageFormat(recipient, notif);
+    const parts = digests[i].length
+      ? chunkMessage(render(format, digests[i]), channelLimit(recipient.channel, recipient.maxMessageLength), { format }).length
+      : 0;
+    console.log(`${colors.yellow}Would send ${parts} part(s) with ${digests[i].length} stories to ${recipient.name} via ${recipient.channel} (${format})${colors.reset}`);
+    return { name: recipient.name, status: 'dry-run', channel: recipient.channel, target: recipient.target, format, stories: digests[i].length, parts };
+  });
+  return { status: 'dry-run', recipients: planned };
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Cluster, score and rank every story fetched this run
+ */
+function rankNews(allNews) {
+  const headlineConfig = getHeadlineConfig();
+  
+  const flatItems = allNews.flatMap(ns => 
+    ns.items.map(item => ({
+      ...item,
+      source: ns.source,
+      headline: headlineConfig.stripPublisherSuffix ? stripPublisherSuffix(item.title, ns.source, headlineConfig) : item.title,
+      entities: extractEntities(item)
+    }))
   );
   
   console.log(`${colors.cyan}Consolidating ${flatItems.length} headlines...${colors.reset}`);
@@ -675,13 +2125,94 @@ function consolidateNews(allHeadlines) {
   console.log(`${colors.cyan}Grouped into ${clusters.length} clusters${colors.reset}`);
   
   const consolidated = consolidateClusters(clusters);
-  const scored = scoreItems(consolidated);
-  const topItems = scored.slice(0, maxItems);
+  return applyStoryMemory(scoreItems(consolidated));
+}
+
+function withSummaries(stories) {
+  return stories.map(story => {
+    const summary = summarize(story);
+    return { ...story, summary, summaryMethod: summary ? 'extractive' : null };
+  });
+}
+
+/**
+ * The main digest: top stories (or per-topic quotas) with summaries
+ */
+function selectDigest(ranked) {
+  const maxItems = config.consolidation?.maxItems ?? config.maxItems ?? 3;
+  const topItems = withSummaries(selectTopStories(ranked, maxItems));
   
   console.log(`${colors.green}Top ${topItems.length} stories:${colors.reset}`);
   for (const item of topItems) {
-    console.log(`  [${item.score.toFixed(2)}] ${item.headline.substring(0, 50)}... (${item.sources.length} sources)`);
+    console.log(`  [${item.score.toFixed(2)}]${item.topic ? ` (${item.topic.label})` : ''} ${item.headline.substring(0, 50)}... (${item.sources.length} sources)${item.continuing ? ' [continuing]' : ''}`);
   }
   
   return topItems;
 }
+
+function consolidateNews(allNews) {
+  return selectDigest(rankNews(allNews));
+}
+
+module.exports = {
+  config,
+  colors,
+  useConfig,
+  validateConfig,
+  filterReason,
+  passesFilters,
+  cleanHeadline,
+  extractItems,
+  isSupportedContentType,
+  fetchNews,
+  testSource,
+  getOutputPath,
+  buildArchiveSite,
+  main,
+  preview,
+  sendNotification,
+  sendPending,
+  runDaemon,
+  plannedRuns,
+  preprocessText,
+  jaccardSimilarity,
+  buildIdf,
+  tfidfVector,
+  cosineSimilarity,
+  extractEntities,
+  similarityMatrix,
+  groupSimilarHeadlines,
+  stripPublisherSuffix,
+  chooseHeadline,
+  consolidateClusters,
+  recencyScore,
+  engagementScore,
+  scoreItems,
+  applyStoryMemory,
+  rememberSentStories,
+  splitSentences,
+  summarize,
+  applyAbstractiveSummaries,
+  selectTopStories,
+  rankNews,
+  consolidateNews,
+  getRecipients,
+  messageFormat,
+  selectForRecipient,
+  deliverToRecipients,
+  storiesToRemember,
+  formatMarkdown,
+  formatMessage,
+  formatJSON,
+  formatFeed,
+  digestView,
+  formatHTML,
+  formatPlain,
+  escapeHtml,
+  renderHtmlPage
+};
+
+// Run (only when executed directly, so tests can require this module)
+if (require.main === module) {
+  require('./cli').run(process.argv.slice(2));
+}
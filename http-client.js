@@ -0,0 +1,283 @@
+/**
+ * HTTP Client for OpenClaw News
+ * Async, in-process replacement for shelling out to curl
+ *
+ * - Follows redirects (up to maxRedirects), dropping credentials when a
+ *   redirect leaves the origin
+ * - timeout between bytes, plus a deadline for the whole request
+ * - Exposes status, headers and content type
+ * - Enforces a response size limit (before and after decompression)
+ * - Conditional GET (ETag / Last-Modified) backed by an on-disk cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Headers that carry credentials for the origin they were sent to
+const CREDENTIAL_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie', 'x-subscription-token', 'x-api-key']);
+
+/**
+ * Create an error with a machine-readable code (and HTTP status if any)
+ */
+function httpError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  if (status !== undefined) error.status = status;
+  return error;
+}
+
+/**
+ * Parse "text/xml; charset=ISO-8859-1" into { type, charset }
+ */
+function parseContentType(header) {
+  const [type, ...params] = String(header || '').split(';');
+  const charsetParam = params.find(p => p.trim().toLowerCase().startsWith('charset='));
+  return {
+    type: type.trim().toLowerCase(),
+    charset: charsetParam ? charsetParam.split('=')[1].trim().replace(/["']/g, '').toLowerCase() : 'utf-8'
+  };
+}
+
+function decompress(buffer, encoding, maxBytes) {
+  const options = { maxOutputLength: maxBytes };
+  switch ((encoding || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(buffer, options);
+    case 'deflate':
+      return zlib.inflateSync(buffer, options);
+    case 'br':
+      return zlib.brotliDecompressSync(buffer, options);
+    default:
+      return buffer;
+  }
+}
+
+function decodeBody(buffer, charset) {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Perform a single HTTP request (no redirect handling)
+ */
+function requestOnce(url, options) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let deadlineTimer = null;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadlineTimer);
+      fn(value);
+    };
+    const fail = error => settle(reject, error);
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      fail(httpError(`Invalid URL: ${url}`, 'EINVALIDURL'));
+      return;
+    }
+
+    const transport = parsed.protocol === 'https:' ? https : (parsed.protocol === 'http:' ? http : null);
+    if (!transport) {
+      fail(httpError(`Unsupported protocol: ${parsed.protocol}`, 'EPROTOCOL'));
+      return;
+    }
+
+    const req = transport.request(parsed, {
+      method: options.method,
+      headers: { 'Accept-Encoding': 'gzip, deflate, br', ...options.headers }
+    }, res => {
+      const chunks = [];
+      let received = 0;
+
+      res.on('data', chunk => {
+        received += chunk.length;
+        if (received > options.maxBytes) {
+          fail(httpError(`Response exceeds ${options.maxBytes} bytes`, 'EMAXBYTES'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      res.on('end', () => {
+        try {
+          const raw = Buffer.concat(chunks);
+          const { type, charset } = parseContentType(res.headers['content-type']);
+          const buffer = decompress(raw, res.headers['content-encoding'], options.maxBytes);
+          settle(resolve, {
+            status: res.statusCode,
+            headers: res.headers,
+            contentType: type,
+            body: decodeBody(buffer, charset),
+            url
+          });
+        } catch (error) {
+          fail(error.code === 'ERR_BUFFER_TOO_LARGE'
+            ? httpError(`Response exceeds ${options.maxBytes} bytes`, 'EMAXBYTES')
+            : error);
+        }
+      });
+
+      res.on('error', fail);
+    });
+
+    req.setTimeout(options.timeout, () => {
+      fail(httpError(`Request timed out after ${options.timeout}ms`, 'ETIMEDOUT'));
+      req.destroy();
+    });
+    // setTimeout only catches silence; a server dripping bytes is cut off here
+    deadlineTimer = setTimeout(() => {
+      fail(httpError(`Request did not finish within ${options.deadline}ms`, 'ETIMEDOUT'));
+      req.destroy();
+    }, Math.max(0, options.deadlineAt - Date.now()));
+    req.on('error', fail);
+
+    if (options.body) req.write(options.body);
+    req.end();
+  });
+}
+
+function withoutCredentials(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !CREDENTIAL_HEADERS.has(name.toLowerCase())));
+}
+
+/**
+ * Perform an HTTP request, following redirects
+ * options.deadline bounds the whole request, redirects included
+ * (default 4 x timeout)
+ * Returns { status, headers, contentType, body, url, redirects }
+ */
+async function request(url, options = {}) {
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+  const deadline = options.deadline ?? timeout * 4;
+  const opts = {
+    method: options.method || 'GET',
+    headers: options.headers || {},
+    body: options.body,
+    timeout,
+    deadline,
+    deadlineAt: Date.now() + deadline,
+    maxBytes: options.maxBytes ?? DEFAULT_MAX_BYTES
+  };
+  const maxRedirects = options.maxRedirects ?? DEFAULT_MAX_REDIRECTS;
+
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const response = await requestOnce(currentUrl, opts);
+    const location = response.headers.location;
+
+    if (response.status >= 300 && response.status < 400 && response.status !== 304 && location) {
+      if (redirects >= maxRedirects) {
+        throw httpError(`Too many redirects (>${maxRedirects})`, 'EREDIRECTS', response.status);
+      }
+      const next = new URL(location, currentUrl);
+      // An open redirect on a source mustn't hand its API key to another host
+      if (next.origin !== new URL(currentUrl).origin) opts.headers = withoutCredentials(opts.headers);
+      currentUrl = next.toString();
+      // 303 (and historically 301/302 for POST) switch to GET without a body
+      if (response.status === 303 || (opts.method === 'POST' && response.status !== 307 && response.status !== 308)) {
+        opts.method = 'GET';
+        opts.body = undefined;
+      }
+      continue;
+    }
+
+    return { ...response, redirects };
+  }
+}
+
+// ============================================================================
+// CONDITIONAL GET CACHE
+// ============================================================================
+
+function cacheFile(cacheDir, url) {
+  const key = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(cacheDir, `${key}.json`);
+}
+
+function readCacheEntry(cacheDir, url) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFile(cacheDir, url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCacheEntry(cacheDir, url, response) {
+  const entry = {
+    url,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    contentType: response.contentType,
+    body: response.body,
+    fetchedAt: new Date().toISOString()
+  };
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const file = cacheFile(cacheDir, url);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entry));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * GET a URL using ETag/Last-Modified validators from the on-disk cache
+ * A 304 is answered from the cache and flagged with notModified: true.
+ * Without a cacheDir this is a plain GET.
+ */
+async function conditionalGet(url, options = {}) {
+  const { cacheDir, ...requestOptions } = options;
+  const headers = { ...(requestOptions.headers || {}) };
+  const cached = cacheDir ? readCacheEntry(cacheDir, url) : null;
+
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await request(url, { ...requestOptions, headers });
+
+  if (response.status === 304 && cached) {
+    return { ...response, status: 200, notModified: true, contentType: cached.contentType, body: cached.body };
+  }
+
+  if (cacheDir && response.status === 200 && (response.headers.etag || response.headers['last-modified'])) {
+    try {
+      writeCacheEntry(cacheDir, url, response);
+    } catch {
+      // A cache we can't write only costs a full download next time
+    }
+  }
+
+  return { ...response, notModified: false };
+}
+
+/**
+ * Throw unless the response has a 2xx status
+ */
+function assertOk(response) {
+  if (response.status < 200 || response.status >= 300) {
+    throw httpError(`HTTP ${response.status}`, 'EHTTPSTATUS', response.status);
+  }
+  return response;
+}
+
+module.exports = {
+  request,
+  conditionalGet,
+  assertOk,
+  parseContentType
+};
@@ -0,0 +1,212 @@
+/**
+ * Messaging Client for OpenClaw News
+ * Sends messages through the OpenClaw gateway
+ *
+ * Transports:
+ *   http - POST to the gateway's messaging API, token in the Authorization header
+ *   cli  - run `openclaw message send` directly (no shell, so message text is
+ *          passed through verbatim and can't inject commands)
+ *
+ * Transient failures (network errors, timeouts, HTTP 408/429/5xx) are retried
+ * with exponential backoff; the gateway's message ID is returned as a receipt.
+ * Every attempt at a message carries the same Idempotency-Key, so a retry
+ * after a timeout the gateway did act on isn't delivered twice. The CLI has
+ * no such key, so a timed-out `openclaw message send` is not retried.
+ *
+ * A message's format (the renderer that produced it, see delivery.js) goes to
+ * the gateway with it, and a channel that needs a parse mode to read it gets
+ * one: a Telegram digest is HTML, sent with parseMode "HTML" (--parse-mode).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { request } = require('./http-client');
+
+const DEFAULT_GATEWAY_URL = 'http://127.0.0.1:18789';
+const MESSAGES_PATH = '/api/v1/messages/send';
+const TRANSPORTS = ['http', 'cli'];
+
+// Parse mode a format needs on its channel; the others are read as sent
+const PARSE_MODES = { telegram: 'HTML' };
+
+const TRANSIENT_CODES = new Set(['ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN']);
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+function messagingError(message, { code = 'ESEND', status, transient = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  if (status !== undefined) error.status = status;
+  error.transient = transient;
+  return error;
+}
+
+/**
+ * Pull the message ID out of a gateway response
+ * Accepts { messageId }, { id }, { result: { messageId } } and { ok: false, error }
+ */
+function parseSendResponse(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw messagingError(`Unparseable response: ${String(text).substring(0, 200)}`, { code: 'EBADRESPONSE' });
+  }
+  const result = data.result && typeof data.result === 'object' ? data.result : data;
+  if (data.ok === false || data.error || result.error) {
+    const error = data.error || result.error;
+    throw messagingError(typeof error === 'string' ? error : (error?.message || 'Gateway rejected the message'), { code: 'EREJECTED' });
+  }
+  const messageId = result.messageId ?? result.id ?? null;
+  if (!messageId) {
+    throw messagingError(`Response has no message ID: ${String(text).substring(0, 200)}`, { code: 'EBADRESPONSE' });
+  }
+  return String(messageId);
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in ms, or null
+ */
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function httpTransport(options) {
+  const url = options.url || `${process.env.OPENCLAW_GATEWAY_URL || DEFAULT_GATEWAY_URL}${MESSAGES_PATH}`;
+  return async (channel, target, text, { idempotencyKey, format }) => {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', 'Idempotency-Key': idempotencyKey };
+    if (options.token) headers['Authorization'] = `Bearer ${options.token}`;
+
+    let response;
+    try {
+      response = await request(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          channel,
+          target,
+          message: text,
+          idempotencyKey,
+          ...(format ? { format } : {}),
+          ...(PARSE_MODES[format] ? { parseMode: PARSE_MODES[format] } : {})
+        }),
+        timeout: options.timeout
+      });
+    } catch (error) {
+      throw messagingError(error.message, { code: error.code || 'ESEND', transient: TRANSIENT_CODES.has(error.code) });
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      let detail = '';
+      try {
+        detail = JSON.parse(response.body).error || '';
+      } catch {
+        // not JSON
+      }
+      const error = messagingError(`HTTP ${response.status}${detail ? `: ${typeof detail === 'string' ? detail : detail.message}` : ''}`, {
+        code: 'EHTTPSTATUS',
+        status: response.status,
+        transient: TRANSIENT_STATUSES.has(response.status)
+      });
+      error.retryAfterMs = retryAfterMs(response.headers['retry-after']);
+      throw error;
+    }
+    return parseSendResponse(response.body);
+  };
+}
+
+function cliTransport(options) {
+  const command = options.cliPath || 'openclaw';
+  return (channel, target, text, { format }) => new Promise((resolve, reject) => {
+    // Arguments go straight to the process: no shell, no quoting to get wrong
+    const args = ['message', 'send', '--channel', channel, '--target', target, '-m', text, '--json'];
+    if (PARSE_MODES[format]) args.push('--parse-mode', PARSE_MODES[format]);
+    execFile(command, args, {
+      encoding: 'utf8',
+      maxBuffer: 1024 * 1024,
+      timeout: options.timeout,
+      env: { ...process.env, ...(options.token ? { OPENCLAW_GATEWAY_TOKEN: options.token } : {}) }
+    }, (error, stdout) => {
+      if (error) {
+        const timedOut = error.killed === true;
+        if (timedOut) {
+          // It may have sent the message before it was killed: don't risk a duplicate
+          return reject(messagingError(`${command} timed out after ${options.timeout}ms`, { code: 'ETIMEDOUT' }));
+        }
+        // A non-zero exit may still print a structured { error } worth surfacing
+        try {
+          parseSendResponse(stdout);
+        } catch (rejection) {
+          if (rejection.code === 'EREJECTED') return reject(rejection);
+        }
+        return reject(messagingError(error.message, { code: error.code === 'ENOENT' ? 'ENOENT' : 'ESEND' }));
+      }
+      try {
+        resolve(parseSendResponse(stdout));
+      } catch (parseError) {
+        reject(parseError);
+      }
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a client
+ * options: { transport, url, token, timeout, retries, backoffMs, maxBackoffMs, cliPath, receiptsFile }
+ * Returns { send(channel, target, text, { idempotencyKey, format }) -> { messageId, attempts } }
+ * Without an idempotencyKey, each send gets a fresh one for its retries.
+ * format is the message's renderer (telegram, slack, ...), if any.
+ */
+function createMessagingClient(options = {}) {
+  const transportName = options.transport || 'http';
+  if (!TRANSPORTS.includes(transportName)) {
+    throw new Error(`notifications.transport must be one of ${TRANSPORTS.join(', ')} (got "${transportName}")`);
+  }
+  const settings = {
+    ...options,
+    timeout: options.timeout ?? 15000,
+    retries: options.retries ?? 3,
+    backoffMs: options.backoffMs ?? 1000,
+    maxBackoffMs: options.maxBackoffMs ?? 30000
+  };
+  const transport = transportName === 'cli' ? cliTransport(settings) : httpTransport(settings);
+
+  function recordReceipt(receipt) {
+    if (!settings.receiptsFile) return;
+    try {
+      fs.mkdirSync(path.dirname(settings.receiptsFile), { recursive: true });
+      fs.appendFileSync(settings.receiptsFile, JSON.stringify(receipt) + '\n');
+    } catch {
+      // A lost receipt mustn't turn a delivered message into a failure
+    }
+  }
+
+  async function send(channel, target, text, { idempotencyKey = crypto.randomUUID(), format = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const messageId = await transport(channel, target, text, { idempotencyKey, format });
+        recordReceipt({ sentAt: new Date().toISOString(), channel, target, messageId, attempts: attempt, transport: transportName, idempotencyKey });
+        return { messageId, attempts: attempt };
+      } catch (error) {
+        error.attempts = attempt;
+        if (!error.transient || attempt > settings.retries) throw error;
+        const backoff = Math.min(settings.maxBackoffMs, error.retryAfterMs ?? settings.backoffMs * 2 ** (attempt - 1));
+        await sleep(backoff);
+      }
+    }
+  }
+
+  return { transport: transportName, send };
+}
+
+module.exports = {
+  createMessagingClient,
+  parseSendResponse
+};
@@ -0,0 +1,250 @@
+/**
+ * Notification Outbox for OpenClaw News
+ * Every outgoing message is written to disk before it is sent and removed
+ * only once the gateway accepts it, so a digest that can't be delivered at
+ * 07:15 is retried later (`node fetch-news.js send-pending`) instead of lost.
+ *
+ * One JSON file per message part:
+ *   <dir>/<createdAt>-<group>-<part>.json
+ *   { id, group, part, parts, channel, target, recipient, format, text,
+ *     createdAt, expiresAt, attempts, lastAttemptAt, lastError }
+ *
+ * Parts of a digest share a group and are always sent in order. Messages
+ * that expire or run out of attempts move to <dir>/dead/ with a reason.
+ * A flush holds <dir>/.lock, so a `send-pending` running alongside a
+ * scheduled run can't send the same entry twice. The flush touches the lock
+ * before each entry, so only a lock left by a run that died goes stale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEAD_DIR = 'dead';
+const LOCK_FILE = '.lock';
+const LOCK_POLL_MS = 100;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function fileName(entry) {
+  return `${String(Date.parse(entry.createdAt)).padStart(14, '0')}-${entry.group}-${String(entry.part).padStart(3, '0')}.json`;
+}
+
+function readDir(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const name of names) {
+    try {
+      entries.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    } catch {
+      // ignore a torn or foreign file
+    }
+  }
+  return entries;
+}
+
+/**
+ * Queue the parts of one message; returns the stored entries
+ * messages: [{ channel, target, text, recipient, format }]
+ */
+function enqueue(dir, messages, { now = Date.now(), expiryHours = 12 } = {}) {
+  const group = crypto.randomBytes(6).toString('hex');
+  const createdAt = new Date(now).toISOString();
+  const expiresAt = new Date(now + expiryHours * HOUR_MS).toISOString();
+  return messages.map((message, i) => {
+    const entry = {
+      id: `${group}-${i + 1}`,
+      group,
+      part: i + 1,
+      parts: messages.length,
+      channel: message.channel,
+      target: message.target,
+      recipient: message.recipient || null,
+      format: message.format || null,
+      text: message.text,
+      createdAt,
+      expiresAt,
+      attempts: 0,
+      lastAttemptAt: null,
+      lastError: null
+    };
+    writeJson(path.join(dir, fileName(entry)), entry);
+    return entry;
+  });
+}
+
+/**
+ * Pending messages, oldest first (parts in order)
+ */
+function list(dir) {
+  return readDir(dir);
+}
+
+/**
+ * Messages given up on, with their `deadReason`
+ */
+function listDead(dir) {
+  return readDir(path.join(dir, DEAD_DIR));
+}
+
+function remove(dir, entry) {
+  try {
+    fs.unlinkSync(path.join(dir, fileName(entry)));
+  } catch {
+    // already gone
+  }
+}
+
+function moveToDead(dir, entry, reason) {
+  writeJson(path.join(dir, DEAD_DIR, fileName(entry)), { ...entry, deadReason: reason });
+  remove(dir, entry);
+}
+
+/**
+ * Take the outbox lock, waiting up to waitMs for another flush to finish
+ * A lock untouched for staleMs was left by a run that died and is broken.
+ * Returns { refresh(), release() }; throws ELOCKED if the lock stays taken.
+ */
+async function acquireLock(dir, { waitMs = 30000, staleMs = 10 * 60 * 1000 } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, LOCK_FILE);
+  const giveUpAt = Date.now() + waitMs;
+  for (;;) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, since: new Date().toISOString() }), { flag: 'wx' });
+      return {
+        refresh: () => {
+          const now = new Date();
+          try {
+            fs.utimesSync(file, now, now);
+          } catch {
+            // released or broken; the flush carries on
+          }
+        },
+        release: () => fs.rmSync(file, { force: true })
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    let age;
+    try {
+      age = Date.now() - fs.statSync(file).mtimeMs;
+    } catch {
+      continue; // released in the meantime
+    }
+    if (age > staleMs) {
+      fs.rmSync(file, { force: true });
+      continue;
+    }
+    if (Date.now() >= giveUpAt) {
+      const error = new Error(`Outbox ${dir} is locked by another run`);
+      error.code = 'ELOCKED';
+      throw error;
+    }
+    await sleep(LOCK_POLL_MS);
+  }
+}
+
+/**
+ * Try to deliver pending messages via send(channel, target, text, { idempotencyKey, format }) -> messageId
+ * The entry id is the idempotency key, so it holds across send-pending runs.
+ * A failed part holds back the rest of its group until the next flush.
+ * options: { now, maxAttempts = 10, group, lock: { waitMs, staleMs } }
+ * Returns { sent: [entry + messageId], failed, expired, dead, held }
+ */
+async function flush(dir, send, options = {}) {
+  const lock = await acquireLock(dir, options.lock);
+  try {
+    return await flushLocked(dir, send, options, lock);
+  } finally {
+    lock.release();
+  }
+}
+
+async function flushLocked(dir, send, { now = Date.now(), maxAttempts = 10, group = null }, lock) {
+  const result = { sent: [], failed: [], expired: [], dead: [], held: [] };
+  const heldGroups = new Set();
+  const deadGroups = new Set();
+
+  for (const entry of list(dir)) {
+    if (group && entry.group !== group) continue;
+
+    if (deadGroups.has(entry.group)) {
+      moveToDead(dir, entry, 'group_failed');
+      result.dead.push(entry);
+      continue;
+    }
+    if (now >= Date.parse(entry.expiresAt)) {
+      moveToDead(dir, entry, 'expired');
+      result.expired.push(entry);
+      continue;
+    }
+    if (heldGroups.has(entry.group)) {
+      result.held.push(entry);
+      continue;
+    }
+
+    // A send can take minutes with retries: keep the lock fresh
+    lock.refresh();
+    try {
+      const messageId = await send(entry.channel, entry.target, entry.text, { idempotencyKey: entry.id, format: entry.format || null });
+      remove(dir, entry);
+      result.sent.push({ ...entry, messageId });
+    } catch (error) {
+      const updated = {
+        ...entry,
+        attempts: entry.attempts + 1,
+        lastAttemptAt: new Date(now).toISOString(),
+        lastError: error.message
+      };
+      if (updated.attempts >= maxAttempts) {
+        moveToDead(dir, updated, 'max_attempts');
+        result.dead.push(updated);
+        deadGroups.add(entry.group);
+      } else {
+        writeJson(path.join(dir, fileName(updated)), updated);
+        result.failed.push(updated);
+        heldGroups.add(entry.group);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Outbox health for the watchdog
+ * Returns { pending, oldestAgeHours, maxAttempts, lastError, dead }
+ */
+function stats(dir, now = Date.now()) {
+  const pending = list(dir);
+  const oldest = pending.reduce((min, e) => Math.min(min, Date.parse(e.createdAt)), Infinity);
+  const retried = pending.filter(e => e.attempts > 0).sort((a, b) => Date.parse(b.lastAttemptAt) - Date.parse(a.lastAttemptAt));
+  return {
+    pending: pending.length,
+    oldestAgeHours: pending.length ? (now - oldest) / HOUR_MS : null,
+    maxAttempts: pending.reduce((max, e) => Math.max(max, e.attempts), 0),
+    lastError: retried[0]?.lastError || null,
+    dead: listDead(dir).length
+  };
+}
+
+module.exports = {
+  enqueue,
+  list,
+  listDead,
+  flush,
+  stats
+};
@@ -0,0 +1,238 @@
+/**
+ * Output Files for OpenClaw News
+ * Where the digests are written: `output.paths` (one per format) and
+ * `outputFile` (the plain default digest) in news-config.json.
+ *
+ * A path may be a template:
+ *   {yyyy} {mm} {dd} {HH}  date and hour of the run, in cron.timezone
+ *   {runId}                unique per run, e.g. 20261019-071500
+ *   {format} {ext}         the output format and its file extension
+ *
+ *   "paths": { "markdown": "archive/{yyyy}/{mm}/{dd}.md" }
+ *
+ * - Files are written atomically (temp file + rename), so a reader never
+ *   sees half a digest
+ * - A templated path also gets a `latest` pointer in its fixed directory
+ *   (archive/latest.md): a symlink to the newest file, or a copy where
+ *   symlinks are not available
+ * - output.retentionDays prunes files the template wrote more than that
+ *   many days ago; nothing else in the directory is touched
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { localParts } = require('./cron');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXTENSIONS = { markdown: 'md', json: 'json', html: 'html', plain: 'txt', rss: 'rss.xml', atom: 'atom.xml' };
+
+// What each placeholder matches when looking for files to prune
+const PLACEHOLDERS = {
+  yyyy: '(\\d{4})',
+  mm: '(\\d{2})',
+  dd: '(\\d{2})',
+  HH: '(\\d{2})',
+  runId: '([\\w-]+)',
+  format: '([a-z]+)',
+  ext: '([\\w.]+)'
+};
+const PLACEHOLDER_RE = /\{(\w+)\}/g;
+
+const pad = n => String(n).padStart(2, '0');
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Placeholder values for a run at `now` in a time zone
+ * Returns { yyyy, mm, dd, HH, runId }
+ */
+function runInfo(now = Date.now(), timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone) {
+  const p = localParts(now, timeZone);
+  const [yyyy, mm, dd, HH] = [String(p.year), pad(p.month), pad(p.day), pad(p.hour)];
+  return { yyyy, mm, dd, HH, runId: `${yyyy}${mm}${dd}-${HH}${pad(p.minute)}${pad(p.second)}` };
+}
+
+/**
+ * Placeholders in a path that aren't known, e.g. ['yy'] for "{yy}.md"
+ */
+function unknownPlaceholders(template) {
+  return [...template.matchAll(PLACEHOLDER_RE)].map(m => m[1]).filter(name => !PLACEHOLDERS[name]);
+}
+
+function isTemplate(template) {
+  return [...template.matchAll(PLACEHOLDER_RE)].some(m => PLACEHOLDERS[m[1]]);
+}
+
+/**
+ * Fill in a template; placeholders missing from `values` are left as they are
+ */
+function expandPath(template, values) {
+  return template.replace(PLACEHOLDER_RE, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+/**
+ * The directory part of a path before its first placeholder
+ * ("/srv/news/archive/{yyyy}/{mm}/{dd}.md" -> "/srv/news/archive")
+ */
+function fixedDir(template) {
+  const parts = template.split(/[\\/]/);
+  const first = parts.findIndex(part => isTemplate(part));
+  if (first === -1) return path.dirname(template);
+  return parts.slice(0, first).join(path.sep) || (path.isAbsolute(template) ? path.sep : '.');
+}
+
+/**
+ * Absolute template for a configured path
+ * Relative paths are relative to baseDir; outDir (--out-dir) replaces the
+ * fixed directory part
+ */
+function resolveTemplate(template, { baseDir, outDir = null }) {
+  if (!outDir) return path.resolve(baseDir, template);
+  const fixed = fixedDir(template);
+  const rest = fixed === '.' || fixed === path.sep ? template.replace(/^[\\/]/, '') : template.slice(fixed.length + 1);
+  return path.resolve(outDir, rest);
+}
+
+/**
+ * The `latest` pointer for a templated path (null for a plain path)
+ */
+function latestPath(template, ext) {
+  if (!isTemplate(template)) return null;
+  return path.join(fixedDir(template), `latest.${ext}`);
+}
+
+/**
+ * Write a file so it is either the old or the new content, never a mix
+ */
+function writeAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Point `pointer` at `target`, replacing any previous pointer atomically
+ */
+function pointLatest(pointer, target) {
+  fs.mkdirSync(path.dirname(pointer), { recursive: true });
+  const tmp = `${pointer}.${process.pid}.tmp`;
+  try {
+    fs.rmSync(tmp, { force: true });
+    fs.symlinkSync(path.relative(path.dirname(pointer), target), tmp);
+    fs.renameSync(tmp, pointer);
+  } catch {
+    // No symlinks here (e.g. Windows without the privilege): copy instead
+    fs.rmSync(tmp, { force: true });
+    writeAtomic(pointer, fs.readFileSync(target));
+  }
+}
+
+/**
+ * Regex for the part of a template below its fixed directory, with the
+ * index of each placeholder's capture group
+ */
+function templatePattern(template) {
+  const fixed = fixedDir(template);
+  const rest = path.relative(fixed, template).split(path.sep).join('/');
+  const groups = {};
+  let count = 0;
+  let source = '';
+  let last = 0;
+  for (const match of rest.matchAll(PLACEHOLDER_RE)) {
+    source += escapeRegex(rest.slice(last, match.index));
+    if (PLACEHOLDERS[match[1]]) {
+      source += PLACEHOLDERS[match[1]];
+      count++;
+      if (!(match[1] in groups)) groups[match[1]] = count;
+    } else {
+      source += escapeRegex(match[0]);
+    }
+    last = match.index + match[0].length;
+  }
+  source += escapeRegex(rest.slice(last));
+  return { root: fixed, regex: new RegExp(`^${source}$`), groups };
+}
+
+function listFiles(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries.flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(file);
+    // Symlinks are pointers, not archived digests
+    return entry.isFile() ? [file] : [];
+  });
+}
+
+function removeEmptyDirs(dir, root) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) removeEmptyDirs(path.join(dir, entry.name), root);
+  }
+  if (dir !== root && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+}
+
+/**
+ * Files a template has written, with the placeholder values from each path
+ * Returns [{ file, values }] in path order
+ */
+function findFiles(template) {
+  const { root, regex, groups } = templatePattern(template);
+  return listFiles(root).sort().flatMap(file => {
+    const match = regex.exec(path.relative(root, file).split(path.sep).join('/'));
+    if (!match) return [];
+    const values = Object.fromEntries(Object.entries(groups).map(([name, index]) => [name, match[index]]));
+    return [{ file, values }];
+  });
+}
+
+/**
+ * Delete files written by a template more than retentionDays ago
+ * The date comes from the path when it has {yyyy}, {mm} and {dd}, otherwise
+ * from the file's modification time.
+ * options: { now, timeZone, keep: paths never to delete }
+ * Returns the deleted paths
+ */
+function prune(template, retentionDays, options = {}) {
+  const { now = Date.now(), timeZone, keep = [] } = options;
+  const cutoffMs = now - retentionDays * DAY_MS;
+  const cutoff = runInfo(cutoffMs, timeZone);
+  const cutoffDate = `${cutoff.yyyy}-${cutoff.mm}-${cutoff.dd}`;
+
+  const removed = [];
+  for (const { file, values } of findFiles(template)) {
+    if (keep.includes(file)) continue;
+    const expired = values.yyyy && values.mm && values.dd
+      ? `${values.yyyy}-${values.mm}-${values.dd}` < cutoffDate
+      : fs.statSync(file).mtimeMs < cutoffMs;
+    if (!expired) continue;
+    fs.unlinkSync(file);
+    removed.push(file);
+  }
+  const root = fixedDir(template);
+  if (removed.length > 0) removeEmptyDirs(root, root);
+  return removed;
+}
+
+module.exports = {
+  EXTENSIONS,
+  runInfo,
+  unknownPlaceholders,
+  isTemplate,
+  expandPath,
+  resolveTemplate,
+  latestPath,
+  writeAtomic,
+  pointLatest,
+  findFiles,
+  prune
+};
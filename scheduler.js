@@ -0,0 +1,178 @@
+/**
+ * Scheduler Daemon for OpenClaw News
+ * Runs the news pipeline on the `cron` block of news-config.json, so no
+ * external cron job is needed:
+ *
+ *   "cron": { "schedule": "15 7 * * 1-6", "timezone": "Pacific/Auckland", "enabled": true }
+ *
+ * - The schedule is evaluated in `timezone` (DST-aware, see cron.js)
+ * - A run that is still going when the next one is due is not overlapped;
+ *   the due run is skipped and logged
+ * - The config file and its override layers are watched; a changed schedule
+ *   takes effect without a restart, and an invalid edit keeps the previous one
+ */
+
+const fs = require('fs');
+const { parseCron, nextRun, nextRuns, formatInZone } = require('./cron');
+const { loadConfig, configLayers } = require('./config-schema');
+
+// Wake-up interval: bounds clock drift and sleep/suspend to one tick
+const DEFAULT_TICK_MS = 30 * 1000;
+const HISTORY_SIZE = 50;
+
+/**
+ * Read and check the cron block of a config file (with its override layers)
+ * Returns { enabled, schedule (parsed), timezone }
+ */
+function loadSchedule(configFile) {
+  const { cron } = loadConfig(configFile).config;
+  if (!cron || !cron.schedule) throw new Error('cron.schedule is not set');
+  const timezone = cron.timezone || 'UTC';
+  const schedule = parseCron(cron.schedule);
+  // Fails here, not at the first tick, if the zone is unknown
+  nextRun(schedule, Date.now(), timezone);
+  return { enabled: cron.enabled !== false, schedule, timezone };
+}
+
+/**
+ * Create a scheduler
+ * options: { configFile, run() -> Promise, now, log, tickMs, watch }
+ * Returns { start(), stop(), tick(), reload(), upcoming(count), running, nextAt, schedule, history }
+ */
+function createScheduler(options) {
+  const now = options.now || Date.now;
+  const log = options.log || console.log;
+  const tickMs = options.tickMs || DEFAULT_TICK_MS;
+
+  let current = null;
+  let nextAt = null;
+  let running = null;
+  let timer = null;
+  const history = [];
+
+  function plan(from) {
+    nextAt = current && current.enabled ? nextRun(current.schedule, from, current.timezone) : null;
+  }
+
+  function upcoming(count = 5) {
+    if (!current || !current.enabled) return [];
+    return nextRuns(current.schedule, now(), current.timezone, count);
+  }
+
+  function describe() {
+    if (!current.enabled) {
+      log('Schedule disabled (cron.enabled is false) - waiting for a config change');
+      return;
+    }
+    log(`Schedule: ${current.schedule.expression} (${current.timezone})`);
+    for (const ms of upcoming(3)) log(`  next: ${formatInZone(ms, current.timezone)}`);
+  }
+
+  /**
+   * (Re)read the schedule; keeps the previous one if the file is invalid
+   */
+  function reload() {
+    let loaded;
+    try {
+      loaded = loadSchedule(options.configFile);
+    } catch (error) {
+      if (!current) throw error;
+      log(`Config reload failed, keeping "${current.schedule.expression}": ${error.message}`);
+      return false;
+    }
+    const changed = !current ||
+      loaded.enabled !== current.enabled ||
+      loaded.timezone !== current.timezone ||
+      loaded.schedule.expression !== current.schedule.expression;
+    current = loaded;
+    if (changed) {
+      plan(now());
+      describe();
+    }
+    return changed;
+  }
+
+  function record(entry) {
+    history.push(entry);
+    if (history.length > HISTORY_SIZE) history.shift();
+    return entry;
+  }
+
+  async function execute(dueAt) {
+    const entry = record({ scheduledFor: new Date(dueAt).toISOString(), startedAt: new Date(now()).toISOString() });
+    log(`Run started (scheduled for ${formatInZone(dueAt, current.timezone)})`);
+    try {
+      await options.run();
+      entry.status = 'ok';
+      log('Run finished');
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      log(`Run failed: ${error.message}`);
+    } finally {
+      entry.finishedAt = new Date(now()).toISOString();
+      running = null;
+    }
+  }
+
+  /**
+   * Start the run if one is due; returns the run's promise (or null)
+   */
+  function tick() {
+    if (nextAt === null || now() < nextAt) return null;
+    const dueAt = nextAt;
+    plan(now());
+    if (running) {
+      record({ scheduledFor: new Date(dueAt).toISOString(), status: 'skipped', reason: 'previous run still in progress' });
+      log(`Skipping run due ${formatInZone(dueAt, current.timezone)}: previous run still in progress`);
+      return null;
+    }
+    running = execute(dueAt);
+    return running;
+  }
+
+  function onConfigChange(curr, prev) {
+    if (curr.mtimeMs !== prev.mtimeMs) reload();
+  }
+
+  // Override layers are watched too, including ones that don't exist yet
+  const watched = configLayers(options.configFile);
+
+  function start() {
+    reload();
+    timer = setInterval(tick, tickMs);
+    if (options.watch !== false) {
+      for (const file of watched) fs.watchFile(file, { interval: 2000 }, onConfigChange);
+    }
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    for (const file of watched) fs.unwatchFile(file, onConfigChange);
+    return running || Promise.resolve();
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    reload,
+    upcoming,
+    get running() {
+      return running !== null;
+    },
+    get nextAt() {
+      return nextAt;
+    },
+    get schedule() {
+      return current;
+    },
+    history
+  };
+}
+
+module.exports = {
+  createScheduler,
+  loadSchedule
+};
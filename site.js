@@ -0,0 +1,201 @@
+/**
+ * Archive Site for OpenClaw News
+ * Builds a static site from the archived JSON digests, i.e. a dated
+ * output.paths.json template such as "archive/{yyyy}/{mm}/{dd}.json"
+ * (see outputs.js):
+ *
+ *   index.html               every day (newest first), topics and tickers
+ *   days/<yyyy-mm-dd>.html   that day's digest, with previous/next links
+ *   topics/<id>.html         every archived story in a topic, by day
+ *   tickers/<ticker>.html    every archived story tagged with a ticker or company
+ *
+ * Pages are rendered like the HTML digest (renderPage), carry their own
+ * styles and link relatively, so the directory can be served by any static
+ * file server or opened from disk. A day with several runs shows the last.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { groupByTopic } = require('./topics');
+const { entityLabel } = require('./entities');
+const { runInfo, findFiles, writeAtomic } = require('./outputs');
+
+const PAGE_DIRS = ['days', 'topics', 'tickers'];
+
+/**
+ * File-name-safe form of a label ("BRK.B" -> "brk-b")
+ */
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled';
+}
+
+/**
+ * Read the archived digests, one per day (the last run of the day)
+ * Returns [{ day: 'yyyy-mm-dd', digest }] oldest first
+ */
+function loadDigests(archive, { timeZone } = {}) {
+  const byDay = new Map();
+  for (const { file, values } of findFiles(archive)) {
+    let digest;
+    try {
+      digest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      continue; // torn or foreign file
+    }
+    if (!Array.isArray(digest.topStories)) continue;
+    const run = values.yyyy && values.mm && values.dd ? values : runInfo(Date.parse(digest.generated), timeZone);
+    const day = `${run.yyyy}-${run.mm}-${run.dd}`;
+    const previous = byDay.get(day);
+    if (!previous || (digest.generated || '') >= (previous.generated || '')) byDay.set(day, digest);
+  }
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([day, digest]) => ({ day, digest }));
+}
+
+/**
+ * Lay out every page of the site
+ * days: from loadDigests
+ * Returns [{ file (relative to the site), page }] for renderPage
+ */
+function planSite(days, { title = 'Morning News Archive' } = {}) {
+  const topics = new Map();
+  const tickers = new Map();
+  const dayLabel = ({ day, digest }) => digest.date || day;
+
+  const collect = (map, key, label, entry, story) => {
+    if (!map.has(key)) map.set(key, { label, days: new Map() });
+    const byDay = map.get(key).days;
+    if (!byDay.has(entry.day)) byDay.set(entry.day, { entry, stories: [] });
+    byDay.get(entry.day).stories.push({ story, rank: story.rank });
+  };
+
+  // Stories per topic and per ticker, newest day first
+  for (const entry of [...days].reverse()) {
+    for (const story of entry.digest.topStories) {
+      if (story.topic) collect(topics, slug(story.topic.id), story.topic.label || story.topic.id, entry, story);
+      for (const label of new Set((story.entities || []).map(entityLabel).filter(Boolean))) {
+        collect(tickers, slug(label), label, entry, story);
+      }
+    }
+  }
+
+  const tagHref = root => entity => `${root}tickers/${slug(entityLabel(entity))}.html`;
+  const footer = `Auto-generated by OpenClaw | ${days.length} day(s) archived`;
+  const storyCount = n => `${n} ${n === 1 ? 'story' : 'stories'}`;
+  const collectionPage = (kind, key, { label, days: byDay }) => ({
+    file: `${kind}/${key}.html`,
+    page: {
+      title: `${label} - ${title}`,
+      heading: label,
+      meta: `${storyCount([...byDay.values()].reduce((n, d) => n + d.stories.length, 0))} on ${byDay.size} day(s)`,
+      nav: [{ label: title, href: '../index.html' }],
+      groups: [...byDay.values()].map(({ entry, stories }) => ({
+        label: dayLabel(entry),
+        href: `../days/${entry.day}.html`,
+        stories
+      })),
+      tagHref: tagHref('../'),
+      footer
+    }
+  });
+
+  const pages = days.map((entry, i) => {
+    const { day, digest } = entry;
+    const [prev, next] = [days[i - 1], days[i + 1]];
+    return {
+      file: `days/${day}.html`,
+      page: {
+        title: `${dayLabel(entry)} - ${title}`,
+        heading: `📰 ${dayLabel(entry)}`,
+        meta: `${digest.summary?.sourcesConsolidated ?? 0} sources | Top ${digest.topStories.length} stories`,
+        nav: [
+          prev ? { label: `← ${dayLabel(prev)}`, href: `${prev.day}.html` } : null,
+          { label: title, href: '../index.html' },
+          next ? { label: `${dayLabel(next)} →`, href: `${next.day}.html` } : null
+        ].filter(Boolean),
+        groups: groupByTopic(digest.topStories).map(group => ({
+          label: group.topic?.label,
+          href: group.topic ? `../topics/${slug(group.topic.id)}.html` : null,
+          stories: group.stories.map(({ story, rank }) => ({ story, rank: story.rank || rank }))
+        })),
+        tagHref: tagHref('../'),
+        footer: `Auto-generated by OpenClaw | Fetched in ${digest.summary?.fetchDurationSeconds ?? '?'}s`
+      }
+    };
+  });
+
+  for (const [key, topic] of topics) pages.push(collectionPage('topics', key, topic));
+  for (const [key, ticker] of tickers) pages.push(collectionPage('tickers', key, ticker));
+
+  const byCount = map => [...map.entries()]
+    .map(([key, item]) => ({ key, item, count: [...item.days.values()].reduce((n, d) => n + d.stories.length, 0) }))
+    .sort((a, b) => b.count - a.count || a.item.label.localeCompare(b.item.label));
+  pages.unshift({
+    file: 'index.html',
+    page: {
+      title,
+      heading: `📰 ${title}`,
+      meta: `${days.length} day(s) | ${topics.size} topic(s) | ${tickers.size} ticker(s)`,
+      lists: [
+        {
+          label: 'Days',
+          items: [...days].reverse().map(entry => ({
+            label: dayLabel(entry),
+            href: `days/${entry.day}.html`,
+            note: `${storyCount(entry.digest.topStories.length)}${entry.digest.topStories[0] ? ` - ${entry.digest.topStories[0].headline}` : ''}`
+          }))
+        },
+        {
+          label: 'Topics',
+          items: byCount(topics).map(({ key, item, count }) => ({ label: item.label, href: `topics/${key}.html`, note: storyCount(count) }))
+        },
+        {
+          label: 'Tickers',
+          items: byCount(tickers).map(({ key, item, count }) => ({ label: item.label, href: `tickers/${key}.html`, note: storyCount(count) }))
+        }
+      ].filter(list => list.items.length > 0),
+      footer
+    }
+  });
+  return pages;
+}
+
+/**
+ * Build (or rebuild) the site in `dir`
+ * options: { archive, dir, title, timeZone, renderPage(page) -> html }
+ * Pages for days that have left the archive are deleted.
+ * Returns { dir, days, pages, removed }
+ */
+function buildSite(options) {
+  const days = loadDigests(options.archive, { timeZone: options.timeZone });
+  const pages = planSite(days, { title: options.title });
+  for (const { file, page } of pages) {
+    writeAtomic(path.join(options.dir, file), options.renderPage(page));
+  }
+
+  const current = new Set(pages.map(p => path.join(options.dir, p.file)));
+  const removed = [];
+  for (const sub of PAGE_DIRS) {
+    let names;
+    try {
+      names = fs.readdirSync(path.join(options.dir, sub));
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      const file = path.join(options.dir, sub, name);
+      if (!name.endsWith('.html') || current.has(file)) continue;
+      fs.unlinkSync(file);
+      removed.push(file);
+    }
+  }
+  return { dir: options.dir, days: days.length, pages: pages.length, removed: removed.length };
+}
+
+module.exports = {
+  slug,
+  loadDigests,
+  planSite,
+  buildSite
+};
@@ -0,0 +1,113 @@
+/**
+ * Story Store for OpenClaw News
+ * Remembers which stories went out in previous digests so a story that
+ * dominated yesterday isn't served up as new again today.
+ *
+ * Storage is a JSONL file, one sent story per line:
+ *   { "id": "...", "sentAt": "2026-03-16T07:15:00.000Z", "headline": "...", "signatures": [["fed", "rate", "cut"], ...] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read all entries, skipping lines that don't parse (e.g. a torn final write)
+ */
+function readEntries(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.sentAt && Array.isArray(entry.signatures)) entries.push(entry);
+    } catch {
+      // ignore corrupt line
+    }
+  }
+  return entries;
+}
+
+function writeEntries(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : ''));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Entries sent within the last lookbackDays (strictly before now)
+ */
+function loadRecent(file, lookbackDays, now = Date.now()) {
+  const since = now - lookbackDays * DAY_MS;
+  return readEntries(file).filter(e => {
+    const sent = new Date(e.sentAt).getTime();
+    return sent >= since && sent <= now;
+  });
+}
+
+function jaccard(tokens1, tokens2) {
+  const set1 = new Set(tokens1);
+  const set2 = new Set(tokens2);
+  let intersection = 0;
+  for (const t of set1) if (set2.has(t)) intersection++;
+  const union = set1.size + set2.size - intersection;
+  return union ? intersection / union : 0;
+}
+
+/**
+ * Find the earliest-sent entry sharing a similar headline with the story
+ * Returns { entry, similarity } or null
+ */
+function findMatch(signatures, entries, threshold) {
+  let best = null;
+  for (const entry of entries) {
+    let similarity = 0;
+    for (const a of signatures) {
+      for (const b of entry.signatures) {
+        similarity = Math.max(similarity, jaccard(a, b));
+      }
+    }
+    if (similarity < threshold) continue;
+    if (!best || new Date(entry.sentAt) < new Date(best.entry.sentAt)) {
+      best = { entry, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Append sent stories and drop entries older than retentionDays
+ * stories: [{ headline, signatures, sources }]
+ */
+function recordSent(file, stories, { now = Date.now(), retentionDays = 30 } = {}) {
+  const sentAt = new Date(now).toISOString();
+  const keepSince = now - retentionDays * DAY_MS;
+  const kept = readEntries(file).filter(e => new Date(e.sentAt).getTime() >= keepSince);
+
+  const added = stories.map(story => ({
+    id: crypto.createHash('sha1').update(`${sentAt}\n${story.headline}`).digest('hex').slice(0, 16),
+    sentAt,
+    headline: story.headline,
+    sources: story.sources || [],
+    signatures: story.signatures
+  }));
+
+  writeEntries(file, [...kept, ...added]);
+  return added;
+}
+
+module.exports = {
+  readEntries,
+  loadRecent,
+  findMatch,
+  recordSent
+};
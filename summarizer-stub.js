@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Local Summarizer Stub for OpenClaw News
+ * Stands in for the gateway's summarization endpoint during development
+ * and tests. Answers every POST with a deterministic "synthesis" built
+ * from the request's headlines and descriptions - no model involved.
+ *
+ * Usage:
+ *   node summarizer-stub.js [--port 18790] [--delay ms] [--fail]
+ *
+ * Then point summary.abstractive.url at http://127.0.0.1:18790/api/v1/tools/summarize
+ */
+
+const http = require('http');
+
+/**
+ * Default response: lead headline plus the first sentence of each description
+ */
+function stubSummary({ headlines = [], descriptions = [] }) {
+  const lead = headlines[0] ? `${headlines[0].replace(/[.!?]*$/, '')}.` : '';
+  const details = descriptions.map(d => d.split(/(?<=[.!?])\s+/)[0]).slice(0, 2);
+  const outlets = headlines.length > 1 ? ` ${headlines.length} reports agree.` : '';
+  return `${lead} ${details.join(' ')}${outlets}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Create (but don't start) a stub server
+ * options.respond(body, req) -> object overrides the response payload
+ * options.delay delays every response; options.fail answers 500
+ * server.requests records every parsed request body
+ */
+function createStubServer(options = {}) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'POST only' }));
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      }
+      server.requests.push({ body, headers: req.headers });
+
+      const reply = () => {
+        if (options.fail) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ error: 'Stub failure' }));
+        }
+        const summary = stubSummary(body.input || {});
+        const payload = options.respond ? options.respond(body, req) : {
+          summary,
+          usage: {
+            inputTokens: Math.ceil(JSON.stringify(body.input || {}).length / 4),
+            outputTokens: Math.ceil(summary.length / 4)
+          }
+        };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      if (options.delay) setTimeout(reply, options.delay);
+      else reply();
+    });
+  });
+  server.requests = [];
+  return server;
+}
+
+module.exports = {
+  createStubServer,
+  stubSummary
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = name => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const port = parseInt(flag('--port') || '18790', 10);
+  const server = createStubServer({
+    delay: parseInt(flag('--delay') || '0', 10),
+    fail: args.includes('--fail')
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Summarizer stub listening on http://127.0.0.1:${port}/api/v1/tools/summarize`);
+  });
+}
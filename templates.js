@@ -0,0 +1,165 @@
+/**
+ * Digest Templates for OpenClaw News
+ * A small Mustache implementation for the markdown, plain and html digests.
+ * The shipped templates live in templates/; output.templates in
+ * news-config.json points a format at another file.
+ *
+ * Supported tags:
+ *   {{name}} {{a.b}} {{.}}   value (HTML-escaped in html templates)
+ *   {{{name}}} {{& name}}    value, never escaped
+ *   {{#name}}...{{/name}}    section: once per array item, once for another
+ *                            truthy value, not at all for false/null/''/0/[]
+ *   {{^name}}...{{/name}}    inverted section: only if the value is falsy
+ *   {{! comment}}
+ *
+ * A section or comment tag alone on its line removes the whole line, so
+ * templates can be laid out one tag per line without stray blank lines.
+ * Names are looked up from the innermost section outwards.
+ */
+
+const fs = require('fs');
+
+function templateError(message, name) {
+  const error = new Error(`${name ? `${name}: ` : ''}${message}`);
+  error.code = 'ETEMPLATE';
+  return error;
+}
+
+const lineOf = (source, index) => source.slice(0, index).split('\n').length;
+
+/**
+ * Split a template into text and tag tokens, dropping standalone lines
+ */
+function tokenize(source, name) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < source.length) {
+    const start = source.indexOf('{{', pos);
+    if (start === -1) break;
+    const triple = source[start + 2] === '{';
+    const close = source.indexOf(triple ? '}}}' : '}}', start + 2);
+    if (close === -1) throw templateError(`Unclosed tag on line ${lineOf(source, start)}`, name);
+    const end = close + (triple ? 3 : 2);
+    let inner = source.slice(start + (triple ? 3 : 2), close).trim();
+    let type = triple ? '&' : 'name';
+    if (!triple && /^[#^/!&]/.test(inner)) {
+      type = inner[0];
+      inner = inner.slice(1).trim();
+    }
+
+    // A block tag alone on its line takes the line with it
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    const newline = source.indexOf('\n', end);
+    const lineEnd = newline === -1 ? source.length : newline + 1;
+    const standalone = ['#', '^', '/', '!'].includes(type) &&
+      lineStart >= pos &&
+      /^[ \t]*$/.test(source.slice(lineStart, start)) &&
+      /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd));
+
+    const text = source.slice(pos, standalone ? lineStart : start);
+    if (text) tokens.push({ type: 'text', value: text });
+    if (type !== '!') tokens.push({ type, name: inner, line: lineOf(source, start) });
+    pos = standalone ? lineEnd : end;
+  }
+  if (pos < source.length) tokens.push({ type: 'text', value: source.slice(pos) });
+  return tokens;
+}
+
+/**
+ * Nest section tokens: { type: '#' | '^', name, children }
+ */
+function buildTree(tokens, name) {
+  const root = { children: [] };
+  const stack = [root];
+  for (const token of tokens) {
+    const parent = stack[stack.length - 1];
+    if (token.type === '#' || token.type === '^') {
+      const section = { ...token, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (token.type === '/') {
+      if (stack.length === 1 || parent.name !== token.name) {
+        throw templateError(`Unexpected {{/${token.name}}} on line ${token.line}`, name);
+      }
+      stack.pop();
+    } else {
+      parent.children.push(token);
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(`Unclosed section {{#${open.name}}} from line ${open.line}`, name);
+  }
+  return root.children;
+}
+
+function lookup(contexts, name) {
+  if (name === '.') return contexts[contexts.length - 1];
+  const [first, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+const isFalsy = value => !value || (Array.isArray(value) && value.length === 0);
+
+function renderNodes(nodes, contexts, escape) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'name' || node.type === '&') {
+      const value = lookup(contexts, node.name);
+      if (value === null || value === undefined) continue;
+      out += node.type === 'name' && escape ? escape(String(value)) : String(value);
+    } else if (node.type === '^') {
+      if (isFalsy(lookup(contexts, node.name))) out += renderNodes(node.children, contexts, escape);
+    } else {
+      const value = lookup(contexts, node.name);
+      if (isFalsy(value)) continue;
+      const items = Array.isArray(value) ? value : [value];
+      for (const item of items) {
+        out += renderNodes(node.children, typeof item === 'object' ? [...contexts, item] : contexts, escape);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Compile a template; name is used in error messages
+ * Returns render(view, { escape }) -> string
+ */
+function compile(source, name = null) {
+  const tree = buildTree(tokenize(source, name), name);
+  return (view, options = {}) => renderNodes(tree, [view], options.escape || null);
+}
+
+const compiled = new Map();
+
+/**
+ * Compile a template file (cached until the file changes)
+ */
+function loadTemplate(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    throw templateError(`Cannot read template (${error.code || error.message})`, file);
+  }
+  const cached = compiled.get(file);
+  const version = `${stat.mtimeMs}:${stat.size}`;
+  if (cached && cached.version === version) return cached.render;
+  const render = compile(fs.readFileSync(file, 'utf8'), file);
+  compiled.set(file, { version, render });
+  return render;
+}
+
+module.exports = {
+  compile,
+  loadTemplate
+};
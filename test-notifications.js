@@ -4,11 +4,11 @@
  */
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const os = require('os');
+const outbox = require('./outbox');
 
 const NEWS_DIR = path.join(__dirname);
-const FLAG_FILE = '/tmp/news-notification.flag';
-const NEWS_FILE = '/tmp/latest-news.txt';
+const OUTBOX_DIR = path.join(os.tmpdir(), `news-outbox-test-${process.pid}`);
 
 const tests = [
   {
@@ -20,15 +20,8 @@ const tests = [
     fn: () => fs.existsSync(path.join(NEWS_DIR, 'fetch-news.js'))
   },
   {
-    name: 'send-news.sh exists',
-    fn: () => fs.existsSync(path.join(NEWS_DIR, 'send-news.sh'))
-  },
-  {
-    name: 'send-news.sh is executable',
-    fn: () => {
-      const stats = fs.statSync(path.join(NEWS_DIR, 'send-news.sh'));
-      return (stats.mode & 0o111) !== 0;
-    }
+    name: 'outbox.js exists',
+    fn: () => fs.existsSync(path.join(NEWS_DIR, 'outbox.js'))
   },
   {
     name: 'news-config.json exists',
@@ -49,35 +42,35 @@ const tests = [
     }
   },
   {
-    name: 'Notification flag file can be created',
+    name: 'news-config.json has outbox config',
     fn: () => {
-      fs.writeFileSync(FLAG_FILE, '1');
-      return fs.existsSync(FLAG_FILE);
+      const config = JSON.parse(fs.readFileSync(path.join(NEWS_DIR, 'news-config.json'), 'utf8'));
+      return config.notifications && config.notifications.outbox && typeof config.notifications.outbox.dir === 'string';
     }
   },
   {
-    name: 'Notification flag file can be cleaned up',
+    name: 'Outbox queues a message',
     fn: () => {
-      if (fs.existsSync(FLAG_FILE)) {
-        fs.unlinkSync(FLAG_FILE);
-      }
-      return !fs.existsSync(FLAG_FILE);
+      fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+      outbox.enqueue(OUTBOX_DIR, [{ channel: 'whatsapp', target: '+64000', text: 'test' }]);
+      return outbox.list(OUTBOX_DIR).length === 1;
     }
   },
   {
-    name: 'send-news.sh handles missing flag gracefully',
-    fn: () => {
-      // Ensure flag doesn't exist
-      if (fs.existsSync(FLAG_FILE)) {
-        fs.unlinkSync(FLAG_FILE);
-      }
-      // Run script - should exit cleanly
-      try {
-        execSync(path.join(NEWS_DIR, 'send-news.sh'), { timeout: 5000 });
-        return true;
-      } catch (e) {
-        return e.status === 0; // May have non-zero but that's ok for no flag
-      }
+    name: 'Failed delivery keeps the message queued',
+    fn: async () => {
+      const result = await outbox.flush(OUTBOX_DIR, async () => { throw new Error('gateway down'); });
+      const [entry] = outbox.list(OUTBOX_DIR);
+      return result.failed.length === 1 && entry.attempts === 1;
+    }
+  },
+  {
+    name: 'send-pending flushes the outbox',
+    fn: async () => {
+      const result = await outbox.flush(OUTBOX_DIR, async () => 'msg-1');
+      const empty = outbox.list(OUTBOX_DIR).length === 0;
+      fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+      return result.sent.length === 1 && empty;
     }
   }
 ];
@@ -87,21 +80,23 @@ console.log('Running openclaw-news notification tests...\n');
 let passed = 0;
 let failed = 0;
 
-for (const test of tests) {
-  try {
-    const result = test.fn();
-    if (result) {
-      console.log(`✓ ${test.name}`);
-      passed++;
-    } else {
-      console.log(`✗ ${test.name}`);
+(async () => {
+  for (const test of tests) {
+    try {
+      const result = await test.fn();
+      if (result) {
+        console.log(`✓ ${test.name}`);
+        passed++;
+      } else {
+        console.log(`✗ ${test.name}`);
+        failed++;
+      }
+    } catch (e) {
+      console.log(`✗ ${test.name}: ${e.message}`);
       failed++;
     }
-  } catch (e) {
-    console.log(`✗ ${test.name}: ${e.message}`);
-    failed++;
   }
-}
 
-console.log(`\n${passed} passed, ${failed} failed`);
-process.exit(failed > 0 ? 1 : 0);
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -5,8 +5,21 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const http = require('http');
+const zlib = require('zlib');
+const { execSync, execFile } = require('child_process');
+const { parseFeed } = require('../feed-parser');
+const { request, conditionalGet } = require('../http-client');
+const { createStubServer } = require('../summarizer-stub');
+const { channelLimit, chunkMessage } = require('../delivery');
+const { createMessagingClient } = require('../messaging-client');
+const outbox = require('../outbox');
+const outputFiles = require('../outputs');
+const feedWriter = require('../feed-writer');
+const { createScheduler } = require('../scheduler');
+const news = require('../fetch-news');
 
 // ============================================================================
 // MOCK HTTP RESPONSES
@@ -95,13 +108,20 @@ async function testRSSParsing() {
   
   console.log('  ✓ RSS CDATA parsing works');
   
-  // Test RSS title extraction - mixed format
-  // The CNBC mock has plain <title> tags (not CDATA)
-  const allTitleRegex = /<title>([^<]{30,200})<\/title>/gi;
-  const allMatches = [...MOCK_RSS_CNBC.matchAll(allTitleRegex)];
+  // Feed parser returns structured items, not just titles
+  const feed = parseFeed(MOCK_RSS_CNBC);
+  assert(feed.format === 'rss', 'CNBC mock should parse as RSS');
+  assert(feed.items.length === 3, `Expected 3 items, got ${feed.items.length}`);
+  assert(feed.items[0].link === 'https://cnbc.com/news/fed-rate-cut', 'Item link should be kept');
   
-  // Should get 3 titles from channel + 3 from items = 6, but we filter
-  // In practice, fetch-news.js uses different patterns for CDATA vs plain
+  // An error document with only a channel title yields no items
+  assert(parseFeed(MOCK_RSS_ERROR).items.length === 0, 'Channel title is not an item');
+  
+  // extractItems applies cleaning and falls back to headings for HTML pages
+  const items = news.extractItems(MOCK_RSS_BLOOMBERG);
+  assert(items.length === 3 && items[1].title.startsWith('Bitcoin Surges'), 'extractItems should keep feed order');
+  const htmlItems = news.extractItems('<html><h2>Central Banks Weigh Rate Moves as Inflation Cools Further</h2></html>');
+  assert(htmlItems.length === 1 && htmlItems[0].link === '', 'HTML pages fall back to headings');
   console.log('  ✓ RSS parsing helper functions work');
 }
 
@@ -212,6 +232,18 @@ async function testNewsConsolidation() {
   assert(allNews[1].headlines.length === 3, 'CNBC should have 3 headlines');
   
   console.log('  ✓ News consolidation data structure works');
+  
+  // The real pipeline carries structured items through to the top stories
+  const feedNews = [
+    { source: 'Bloomberg', items: parseFeed(MOCK_RSS_BLOOMBERG).items },
+    { source: 'CNBC', items: parseFeed(MOCK_RSS_CNBC).items }
+  ];
+  const topNews = news.consolidateNews(feedNews);
+  assert(topNews.length > 0, 'Should produce top stories');
+  assert(topNews.every(story => story.link && story.articles.length > 0), 'Stories should carry links and articles');
+  const json = JSON.parse(news.formatJSON(topNews, feedNews, 'today', '1.0', []));
+  assert(json.topStories[0].articles[0].link.startsWith('https://'), 'JSON output should include article links');
+  console.log('  ✓ Structured items flow through consolidation');
 }
 
 async function testConfigLoading() {
@@ -420,30 +452,183 @@ async function testRetryLogic() {
 async function testOutputPathResolution() {
   console.log('\n📁 Testing output path resolution...');
   
-  // Replicate getOutputPath from fetch-news.js
-  const getOutputPath = (format) => {
-    const base = '/tmp/latest-news';
-    const formats = {
-      markdown: '.md',
-      json: '.json',
-      html: '.html',
-      plain: '.txt'
-    };
-    return (base + (formats[format] || '.txt')).replace('/tmp/', '/tmp/news-');
-  };
+  const { getOutputPath } = news;
+  const savedOutput = news.config.output;
+  const savedOutputFile = news.config.outputFile;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-outputs-'));
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const now = Date.UTC(2026, 9, 19, 18, 15, 0); // 07:15 on the 20th in Auckland
+  const run = outputFiles.runInfo(now, 'Pacific/Auckland');
   
-  // Test each format
-  assert(getOutputPath('markdown') === '/tmp/news-latest-news.md', 'markdown → .md');
-  assert(getOutputPath('json') === '/tmp/news-latest-news.json', 'json → .json');
-  assert(getOutputPath('html') === '/tmp/news-latest-news.html', 'html → .html');
-  assert(getOutputPath('plain') === '/tmp/news-latest-news.txt', 'plain → .txt');
+  try {
+    // Paths come from output.paths and outputFile
+    news.config.output = { formats: ['markdown'], paths: { markdown: '/srv/news/summary.md' } };
+    news.config.outputFile = '/srv/news/latest.txt';
+    assert(getOutputPath('markdown') === '/srv/news/summary.md', 'output.paths used');
+    assert(getOutputPath('default') === '/srv/news/latest.txt', 'outputFile used');
+    assert(getOutputPath('json') === '/tmp/news-latest-news.json', 'Unconfigured format keeps the old default');
+    assert(getOutputPath('markdown', '/out') === '/out/summary.md', '--out-dir replaces the directory');
+    
+    // Templates expand in the schedule's time zone; relative paths are beside fetch-news.js
+    news.config.output.paths.markdown = 'archive/{yyyy}/{mm}/{dd}-{runId}.{ext}';
+    assert(run.runId === '20261020-071500', `Run ID is local time (got ${run.runId})`);
+    assert(getOutputPath('markdown', null, run) === path.join(__dirname, '..', 'archive/2026/10/20-20261020-071500.md'), 'Template expanded');
+    assert(getOutputPath('markdown', '/out', run) === '/out/2026/10/20-20261020-071500.md', '--out-dir replaces the fixed part');
+    news.config.output.paths.markdown = 'archive/{yy}.md';
+    assert(news.validateConfig().some(e => e.startsWith('output.paths.markdown has unknown placeholder {yy}')), 'Unknown placeholder reported');
+  } finally {
+    news.config.output = savedOutput;
+    news.config.outputFile = savedOutputFile;
+  }
+  console.log('  ✓ Output paths come from config and expand templates');
+  
+  try {
+    const template = path.join(dir, 'archive', '{yyyy}', '{mm}', '{dd}.md');
+    const pointer = outputFiles.latestPath(template, 'md');
+    assert(pointer === path.join(dir, 'archive', 'latest.md'), 'Pointer lives in the fixed directory');
+    
+    // Ten days of digests, each written atomically and pointed to by latest.md
+    let file;
+    for (let day = 9; day >= 0; day--) {
+      file = outputFiles.expandPath(template, outputFiles.runInfo(now - day * DAY_MS, 'Pacific/Auckland'));
+      outputFiles.writeAtomic(file, `digest ${day}`);
+      outputFiles.pointLatest(pointer, file);
+    }
+    assert(fs.readFileSync(pointer, 'utf8') === 'digest 0', 'latest points at the newest digest');
+    assert(fs.readdirSync(path.dirname(file)).every(name => !name.endsWith('.tmp')), 'No temp files left');
+    fs.writeFileSync(path.join(dir, 'archive', 'notes.md'), 'not ours');
+    
+    const removed = outputFiles.prune(template, 7, { now, timeZone: 'Pacific/Auckland', keep: [file, pointer] });
+    assert(removed.length === 2, `Files older than 7 days pruned (got ${removed.length})`);
+    assert(removed.every(f => /2026[\\/]10[\\/]1[12]\.md$/.test(f)), `Oldest days pruned (got ${removed.map(f => path.basename(f)).join()})`);
+    assert(fs.existsSync(path.join(dir, 'archive', 'notes.md')) && fs.existsSync(pointer), 'Unrelated files and the pointer kept');
+    assert(fs.existsSync(path.join(dir, 'archive', '2026', '10', '13.md')), 'Recent digests kept');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('  ✓ Atomic writes, latest pointer and retention pruning');
+}
+
+async function testArchiveSite() {
+  console.log('\n🗂  Testing archive site...');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-site-'));
+  const savedSite = news.config.site;
+  const archive = path.join(dir, 'archive', '{yyyy}', '{mm}', '{dd}.json');
+  const siteDir = path.join(dir, 'site');
+  const story = (headline, topic, tickers) => ({
+    headline,
+    link: `https://example.com/${headline.length}`,
+    sources: ['Mock Bloomberg'],
+    topic: topic ? { id: topic, label: topic === 'markets' ? 'Markets' : 'Crypto' } : null,
+    entities: tickers.map(ticker => ({ ticker, name: ticker })),
+    score: 1
+  });
+  const write = (day, stories) => {
+    const file = outputFiles.expandPath(archive, { yyyy: '2026', mm: '10', dd: day });
+    outputFiles.writeAtomic(file, news.formatJSON(stories, [{ source: 'Mock Bloomberg', items: [] }], `October ${day}`, '1.0', []));
+    return file;
+  };
   
-  // Test unknown format falls back to .txt
-  assert(getOutputPath('unknown') === '/tmp/news-latest-news.txt', 'unknown → .txt');
-  assert(getOutputPath('') === '/tmp/news-latest-news.txt', 'empty → .txt');
-  assert(getOutputPath(null) === '/tmp/news-latest-news.txt', 'null → .txt');
+  try {
+    const first = write('16', [story('Fed holds rates & signals patience', 'markets', ['SPY'])]);
+    write('17', [story('Nvidia tops estimates', 'markets', ['NVDA', 'SPY']), story('Bitcoin slips', 'crypto', [])]);
+    write('19', [story('Nvidia extends rally', null, ['NVDA'])]);
+    fs.writeFileSync(path.join(dir, 'archive', 'notes.json'), '{}');
+    
+    news.config.site = { archive, title: 'Mock Archive' };
+    const built = news.buildArchiveSite({ dir: siteDir });
+    assert(built.days === 3 && built.pages === 8, `Index, 3 days, 2 topics, 2 tickers (got ${built.days} days, ${built.pages} pages)`);
+    
+    const read = file => fs.readFileSync(path.join(siteDir, file), 'utf8');
+    const index = read('index.html');
+    assert(index.indexOf('days/2026-10-19.html') < index.indexOf('days/2026-10-16.html'), 'Index lists days newest first');
+    assert(index.includes('href="tickers/nvda.html">NVDA</a> <span class="note">2 stories</span>'), 'Index lists tickers with counts');
+    
+    const middle = read('days/2026-10-17.html');
+    assert(middle.includes('href="2026-10-16.html">← October 16') && middle.includes('href="2026-10-19.html">October 19 →'), 'Day page has prev/next links');
+    assert(middle.includes('<a href="../topics/markets.html">Markets</a>'), 'Topic headings link to topic pages');
+    assert(middle.includes('<a href="../tickers/nvda.html"><span class="tag"'), 'Tags link to ticker pages');
+    assert(read('days/2026-10-16.html').includes('Fed holds rates &amp; signals patience'), 'Headlines escaped');
+    
+    const nvda = read('tickers/nvda.html');
+    assert(nvda.indexOf('Nvidia extends rally') < nvda.indexOf('Nvidia tops estimates'), 'Ticker page lists stories newest day first');
+    assert(read('topics/crypto.html').includes('href="../days/2026-10-17.html">October 17</a>'), 'Topic page links each day');
+    
+    // A day that leaves the archive leaves the site too
+    fs.rmSync(first);
+    const rebuilt = news.buildArchiveSite({ dir: siteDir });
+    assert(rebuilt.days === 2 && rebuilt.removed === 1 && !fs.existsSync(path.join(siteDir, 'days', '2026-10-16.html')), 'Stale day page removed');
+    
+    news.config.site = { archive: path.join(dir, 'digest.json') };
+    let error = null;
+    try {
+      news.buildArchiveSite({ dir: siteDir });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('dated template'), 'Undated archive rejected');
+  } finally {
+    news.config.site = savedSite;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('  ✓ Archive site has index, day, topic and ticker pages');
+}
+
+async function testFeedOutput() {
+  console.log('\n📡 Testing RSS/Atom digest feed...');
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-feed-'));
+  const savedOutput = news.config.output;
+  const stateFile = path.join(dir, 'feed-entries.json');
+  const HOUR_MS = 60 * 60 * 1000;
+  const monday = Date.UTC(2026, 9, 18, 18, 15);
+  const story = (headline, links, extra = {}) => ({
+    headline,
+    link: links[0],
+    summary: `${headline} & more.`,
+    sources: links.map((l, i) => `Source ${i + 1}`),
+    articles: links.map((link, i) => ({ source: `Source ${i + 1}`, title: headline, link })),
+    entities: [{ ticker: 'NVDA', name: 'Nvidia' }],
+    topic: { id: 'markets', label: 'Markets' },
+    ...extra
+  });
   
-  console.log('  ✓ Output path resolution works correctly');
+  try {
+    news.config.output = { formats: ['rss', 'atom'], feed: { title: 'Mock <News>', stateFile, maxEntries: 3, maxAgeDays: 2 } };
+    const fed = story('Fed holds rates', ['https://a.example/fed']);
+    const nvda = story('Nvidia tops estimates', ['https://b.example/nvda', 'https://c.example/nvda']);
+    
+    const rss = news.formatFeed('rss', [fed, nvda], monday);
+    const parsed = parseFeed(rss);
+    assert(parsed.format === 'rss' && parsed.items.length === 2, `RSS parses (got ${parsed.format}, ${parsed.items.length})`);
+    assert(parsed.items[0].title === 'Fed holds rates' && parsed.items[0].guid === feedWriter.storyGuid(fed), 'Entry has title and stable GUID');
+    assert(rss.includes('&lt;a href=&quot;https://c.example/nvda&quot;&gt;') && parsed.items[0].categories.includes('NVDA'), 'Entry lists source links and tags');
+    assert(rss.includes('<title>Mock &lt;News&gt;</title>'), 'Channel title escaped');
+    const atom = parseFeed(news.formatFeed('atom', [fed, nvda], monday));
+    assert(atom.format === 'atom' && atom.items[1].link === 'https://b.example/nvda', 'Atom parses');
+    assert(!fs.existsSync(stateFile), 'Rendering alone saves nothing');
+    feedWriter.writeEntries(stateFile, feedWriter.mergeEntries([], [fed, nvda], { now: monday }));
+    
+    // Next day: the Nvidia story leads with another source's link
+    const tuesday = monday + 24 * HOUR_MS;
+    const nvdaAgain = story('Nvidia rally extends', ['https://d.example/nvda', 'https://c.example/nvda']);
+    const oil = story('Oil slides', ['https://e.example/oil']);
+    const items = parseFeed(news.formatFeed('rss', [nvdaAgain, oil], tuesday)).items;
+    assert(items.length === 3, `Rolling window keeps yesterday's entries (got ${items.length})`);
+    assert(items.filter(i => i.guid === feedWriter.storyGuid(nvda)).length === 1, 'Repeated story keeps its GUID');
+    assert(items[0].title === 'Nvidia rally extends' && new Date(items[0].pubDate).getTime() === monday, 'Repeated story updated, first published kept');
+    
+    // Entries fall out by age and by count
+    const later = feedWriter.mergeEntries(feedWriter.readEntries(stateFile), [oil], { now: monday + 3 * 24 * HOUR_MS, maxAgeDays: 2 });
+    assert(later.length === 1 && later[0].title === 'Oil slides', 'Old entries expire');
+    const many = feedWriter.mergeEntries([], [fed, nvda, oil, story('Gold', ['https://f.example/gold'])], { now: monday, maxEntries: 3 });
+    assert(many.length === 3 && many[2].title === 'Oil slides', 'Window capped at maxEntries, by rank');
+  } finally {
+    news.config.output = savedOutput;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('  ✓ RSS/Atom feeds with rolling window and stable GUIDs');
 }
 
 async function testEscapeHtmlEdgeCases() {
@@ -478,6 +663,705 @@ async function testEscapeHtmlEdgeCases() {
   console.log('  ✓ escapeHtml edge cases work correctly');
 }
 
+// ============================================================================
+// HTTP CLIENT TESTS
+// ============================================================================
+
+/**
+ * Start a local HTTP server for the duration of a test
+ */
+function startMockServer(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+async function testHttpClient() {
+  console.log('\n🌐 Testing HTTP client...');
+  
+  let feedRequests = 0;
+  const { server: elsewhere, baseUrl: elsewhereUrl } = await startMockServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(req.headers));
+  });
+  const { server, baseUrl } = await startMockServer((req, res) => {
+    switch (req.url) {
+      case '/feed':
+        feedRequests++;
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml; charset=utf-8', 'ETag': '"v1"' });
+        return res.end(MOCK_RSS_BLOOMBERG);
+      case '/moved':
+        res.writeHead(302, { Location: '/feed' });
+        return res.end();
+      case '/loop':
+        res.writeHead(301, { Location: '/loop' });
+        return res.end();
+      case '/gzip':
+        res.writeHead(200, { 'Content-Type': 'text/xml', 'Content-Encoding': 'gzip' });
+        return res.end(zlib.gzipSync(MOCK_RSS_CNBC));
+      case '/big':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end('x'.repeat(5000));
+      case '/slow':
+        return setTimeout(() => { res.writeHead(200, { 'Content-Type': 'text/xml' }); res.end(MOCK_RSS_CNBC); }, 300);
+      case '/away':
+        res.writeHead(302, { Location: `${elsewhereUrl}/headers` });
+        return res.end();
+      case '/drip': {
+        // A byte every 20ms: never idle long enough for the timeout
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        const drip = setInterval(() => res.write('<'), 20);
+        return res.on('close', () => clearInterval(drip));
+      }
+      case '/image':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end('PNG');
+      default:
+        res.writeHead(404);
+        return res.end('not found');
+    }
+  });
+  
+  try {
+    // Status and content type are exposed
+    const ok = await request(`${baseUrl}/feed`);
+    assert(ok.status === 200 && ok.contentType === 'application/rss+xml', 'Status and content type');
+    const missing = await request(`${baseUrl}/nope`);
+    assert(missing.status === 404, 'HTTP errors are reported, not hidden');
+    console.log('  ✓ Status and content-type inspection');
+    
+    // Redirects are followed, loops are bounded
+    const moved = await request(`${baseUrl}/moved`);
+    assert(moved.status === 200 && moved.redirects === 1 && moved.url.endsWith('/feed'), 'Redirect followed');
+    try {
+      await request(`${baseUrl}/loop`, { maxRedirects: 3 });
+      assert(false, 'Redirect loop should fail');
+    } catch (error) {
+      assert(error.code === 'EREDIRECTS', `Expected EREDIRECTS, got ${error.code}`);
+    }
+    const away = await request(`${baseUrl}/away`, { headers: { 'X-Subscription-Token': 'secret', Authorization: 'Bearer secret', 'User-Agent': 'news' } });
+    const forwarded = JSON.parse(away.body);
+    assert(!forwarded['x-subscription-token'] && !forwarded.authorization, 'Credentials dropped on a cross-origin redirect');
+    assert(forwarded['user-agent'] === 'news', 'Other headers kept');
+    console.log('  ✓ Redirect handling');
+    
+    // Compressed responses are decoded; size limit and timeout are enforced
+    const gz = await request(`${baseUrl}/gzip`);
+    assert(gz.body.includes('Fed Chair Signals'), 'gzip body decoded');
+    for (const [url, opts, code] of [['/big', { maxBytes: 1000 }, 'EMAXBYTES'], ['/slow', { timeout: 50 }, 'ETIMEDOUT'], ['/drip', { timeout: 100, deadline: 200 }, 'ETIMEDOUT']]) {
+      try {
+        await request(`${baseUrl}${url}`, opts);
+        assert(false, `${url} should fail`);
+      } catch (error) {
+        assert(error.code === code, `Expected ${code}, got ${error.code}`);
+      }
+    }
+    console.log('  ✓ Size limit and timeout');
+    
+    // Conditional GET: second request is a 304 served from the cache
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-http-cache-'));
+    feedRequests = 0;
+    const first = await conditionalGet(`${baseUrl}/feed`, { cacheDir });
+    const second = await conditionalGet(`${baseUrl}/feed`, { cacheDir });
+    assert(feedRequests === 2, 'Both requests reach the server');
+    assert(!first.notModified && second.notModified, 'Second response should be not-modified');
+    assert(second.body === first.body, 'Cached body should be returned on 304');
+    console.log('  ✓ Conditional GET with on-disk cache');
+    
+    // fetchNews runs sources concurrently and rejects non-feed content
+    news.config.http = { ...news.config.http, cacheDir };
+    const source = name => ({ name, url: `${baseUrl}/slow`, maxHeadlines: 3, enabled: true });
+    const start = Date.now();
+    const results = await Promise.all([news.fetchNews(source('A')), news.fetchNews(source('B')), news.fetchNews(source('C'))]);
+    const elapsed = Date.now() - start;
+    assert(results.every(r => r.length === 3), 'Each source should return items');
+    assert(elapsed < 800, `Sources should be fetched concurrently (took ${elapsed}ms)`);
+    const image = await news.fetchNews({ name: 'Image', url: `${baseUrl}/image`, maxHeadlines: 3, enabled: true });
+    assert(image.length === 0, 'Unsupported content type yields no items');
+    console.log('  ✓ fetchNews fetches in parallel');
+    
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  } finally {
+    server.close();
+    elsewhere.close();
+  }
+}
+
+// ============================================================================
+// STORY MEMORY TESTS
+// ============================================================================
+
+async function testStoryMemory() {
+  console.log('\n🧠 Testing cross-day story memory...');
+  
+  const file = path.join(os.tmpdir(), `news-story-memory-${process.pid}.jsonl`);
+  const savedMemory = news.config.consolidation.memory;
+  const day = 24 * 60 * 60 * 1000;
+  const yesterday = Date.parse('2026-03-16T07:15:00Z');
+  const today = yesterday + day;
+  
+  try {
+    news.config.consolidation.memory = { enabled: true, file, lookbackDays: 3, mode: 'suppress' };
+    
+    const feedNews = [
+      { source: 'Bloomberg', items: parseFeed(MOCK_RSS_BLOOMBERG).items },
+      { source: 'CNBC', items: parseFeed(MOCK_RSS_CNBC).items }
+    ];
+    const stories = news.scoreItems(news.consolidateClusters(news.groupSimilarHeadlines(
+      feedNews.flatMap(ns => ns.items.map(item => ({ ...item, source: ns.source, headline: item.title })))
+    )));
+    
+    // Yesterday's top story gets recorded...
+    news.rememberSentStories([stories[0]], yesterday);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    assert(lines.length === 1 && JSON.parse(lines[0]).signatures.length > 0, 'Sent story is stored with signatures');
+    
+    // ...and suppressed today (even with a reworded member headline)
+    const suppressed = news.applyStoryMemory(stories, today);
+    assert(suppressed.length === stories.length - 1, 'Repeated story is suppressed');
+    assert(!suppressed.some(s => s.headline === stories[0].headline), 'Suppressed story is gone');
+    
+    // Continuing mode keeps it but flags it
+    news.config.consolidation.memory.mode = 'continuing';
+    const marked = news.applyStoryMemory(stories, today);
+    const continuing = marked.find(s => s.headline === stories[0].headline);
+    assert(continuing.continuing && continuing.firstSentAt === new Date(yesterday).toISOString(), 'Story marked continuing');
+    assert(news.formatMarkdown(marked.slice(0, 3), feedNews, 'today', '1.0').includes('(continuing)'), 'Markdown flags continuing stories');
+    
+    // Outside the lookback window the story is new again
+    const later = news.applyStoryMemory(stories, yesterday + 5 * day);
+    assert(later.every(s => !s.continuing), 'Lookback window limits matching');
+    
+    // Retention prunes old entries on the next write
+    news.config.consolidation.memory.retentionDays = 2;
+    news.rememberSentStories([stories[1]], yesterday + 5 * day);
+    assert(fs.readFileSync(file, 'utf8').trim().split('\n').length === 1, 'Old entries pruned');
+    
+    console.log('  ✓ Story memory suppresses and marks repeats');
+  } finally {
+    news.config.consolidation.memory = savedMemory;
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+async function testAbstractiveSummaries() {
+  console.log('\n✍️  Testing abstractive summaries...');
+  
+  const cacheFile = path.join(os.tmpdir(), `news-summary-cache-${process.pid}.json`);
+  const savedSummary = news.config.summary;
+  const stub = createStubServer();
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${stub.address().port}/api/v1/tools/summarize`;
+  
+  const stories = [
+    { headline: 'Fed cuts rates', summary: 'Extractive one.', summaryMethod: 'extractive', sources: ['A', 'B'],
+      articles: [{ title: 'Fed cuts rates', description: 'The Fed cut by 25bp. More to come.' }, { title: 'Fed lowers rates', description: 'Markets cheered.' }] },
+    { headline: 'Oil jumps on supply fears', summary: 'Extractive two.', summaryMethod: 'extractive', sources: ['C'],
+      articles: [{ title: 'Oil jumps on supply fears', description: 'Brent rose 3%.' }] }
+  ];
+  
+  try {
+    news.config.summary = { ...savedSummary, abstractive: { enabled: true, url, cacheFile, timeout: 2000, maxTokensPerRun: 4000 } };
+    
+    const first = await news.applyAbstractiveSummaries(stories);
+    assert(first.every(s => s.summaryMethod === 'abstractive'), 'Stories get abstractive summaries');
+    assert(first[0].summary === 'Fed cuts rates. The Fed cut by 25bp. Markets cheered. 2 reports agree.', `Stub synthesis returned (got "${first[0].summary}")`);
+    assert(stub.requests.length === 2 && stub.requests[0].body.input.headlines.length === 2, 'Cluster headlines sent');
+    
+    // Same cluster content (in any order) is served from the cache
+    const reordered = [{ ...stories[0], articles: [...stories[0].articles].reverse() }];
+    const cached = await news.applyAbstractiveSummaries(reordered);
+    assert(stub.requests.length === 2 && cached[0].summary === first[0].summary, 'Cache keyed by cluster content');
+    
+    // Token budget: stories past the budget keep their extractive summary
+    fs.unlinkSync(cacheFile);
+    news.config.summary.abstractive.maxTokensPerRun = 250;
+    const budgeted = await news.applyAbstractiveSummaries(stories);
+    assert(budgeted[0].summaryMethod === 'abstractive' && budgeted[1].summaryMethod === 'extractive', 'Budget limits abstractive calls');
+    assert(budgeted[1].summary === 'Extractive two.', 'Falls back to extractive summary');
+    
+    // Unreachable endpoint: fall back without trying every story
+    fs.unlinkSync(cacheFile);
+    const slow = createStubServer({ delay: 500 });
+    await new Promise(resolve => slow.listen(0, '127.0.0.1', resolve));
+    try {
+      news.config.summary.abstractive = { enabled: true, url: `http://127.0.0.1:${slow.address().port}/`, cacheFile, timeout: 100 };
+      const timedOut = await news.applyAbstractiveSummaries(stories);
+      assert(timedOut.every(s => s.summaryMethod === 'extractive'), 'Timeout falls back to extractive');
+      assert(slow.requests.length <= 1, 'Stops calling an unreachable endpoint');
+    } finally {
+      slow.close();
+    }
+    
+    console.log('  ✓ Abstractive summaries with cache, budget and fallback');
+  } finally {
+    news.config.summary = savedSummary;
+    stub.close();
+    if (fs.existsSync(cacheFile)) fs.unlinkSync(cacheFile);
+  }
+}
+
+async function testNotificationDelivery() {
+  console.log('\n📬 Testing notification delivery...');
+  
+  // Long digests split at story boundaries into numbered parts within the limit
+  const stories = Array.from({ length: 30 }, (_, i) => `${i + 1}. Story headline number ${i + 1}\n   https://example.com/${i + 1}\n   Sources: A, B`);
+  const digest = `📰 Morning News\n\n${stories.join('\n\n')}`;
+  const parts = chunkMessage(digest, 500);
+  assert(parts.length > 1 && parts.every(p => p.length <= 500), 'Parts fit the limit');
+  assert(parts[0].startsWith(`(1/${parts.length})\n📰 Morning News`), 'Parts are numbered');
+  assert(parts.every(p => !/\n\d+\. Story[^\n]*$/.test(p)), 'Stories are not split from their details');
+  assert(chunkMessage('short', 500).length === 1 && chunkMessage('short', 500)[0] === 'short', 'Short messages unchanged');
+  assert(chunkMessage('x'.repeat(1200), 500).every(p => p.length <= 500), 'Unbreakable text is hard-split');
+  assert(channelLimit('discord') === 2000 && channelLimit('whatsapp', 1000) === 1000, 'Channel limits and overrides');
+  const many = chunkMessage(Array.from({ length: 150 }, (_, i) => `${i + 1}. ${'x'.repeat(40)}`).join('\n\n'), 60);
+  assert(many.length > 99 && many.every(p => p.length <= 60) && many[0].startsWith(`(1/${many.length})`), 'Header room grows past 99 parts');
+  const telegram = `<b>News</b>\n\n1. <a href="https://example.com/1">${'word '.repeat(60)}</a>\n   <i>Summary</i>`;
+  const telegramParts = chunkMessage(telegram, 120, { format: 'telegram' });
+  assert(telegramParts.every(p => p.length <= 120 && (p.match(/<[a-z]/g) || []).length === (p.match(/<\//g) || []).length), 'Telegram tags never cut apart');
+  
+  // Outcomes: all parts sent, stop at first failure, disabled
+  const savedNotifications = news.config.notifications;
+  news.config.notifications = { ...savedNotifications, outbox: { enabled: false } };
+  try {
+    const sent = [];
+    const notif = { enabled: true, channel: 'discord', target: '#news', maxMessageLength: 500 };
+    const ok = await news.sendNotification(digest, notif, async (channel, target, text) => {
+      sent.push({ channel, target, text });
+      return `msg-${sent.length}`;
+    });
+    assert(ok.status === 'sent' && ok.delivered === parts.length && sent.length === parts.length, 'All parts delivered');
+    assert(ok.messageIds[0] === 'msg-1' && sent[0].channel === 'discord' && sent[0].target === '#news', 'Message IDs recorded');
+    
+    let calls = 0;
+    const partial = await news.sendNotification(digest, notif, async () => {
+      if (++calls === 2) throw new Error('gateway down');
+      return 'id';
+    });
+    assert(partial.status === 'partial' && partial.delivered === 1 && calls === 2 && partial.error === 'gateway down', 'Stops at the first failed part');
+    
+    const failed = await news.sendNotification('hi', notif, async () => { throw new Error('nope'); });
+    assert(failed.status === 'failed' && failed.delivered === 0, 'Failure reported');
+    assert((await news.sendNotification('hi', { enabled: false })).status === 'disabled', 'Disabled reported');
+  } finally {
+    news.config.notifications = savedNotifications;
+  }
+  
+  console.log('  ✓ Notifications are chunked and outcomes reported');
+}
+
+async function testRecipients() {
+  console.log('\n👥 Testing per-recipient digests...');
+  
+  const savedNotifications = news.config.notifications;
+  const savedTopics = news.config.topics;
+  const story = (headline, score, entities = []) =>
+    ({ headline, score, sources: ['A'], sourceCount: 1, entities, articles: [{ title: headline }] });
+  const ranked = [
+    story('Fed holds rates steady', 5),
+    story('Nvidia beats estimates again', 4, [{ ticker: 'NVDA', name: 'Nvidia' }]),
+    story('Bitcoin tops record high', 3, [{ ticker: 'BTC', name: 'Bitcoin' }]),
+    story('Stablecoin bill advances in Senate', 2),
+    story('Oil slides on demand worries', 1)
+  ];
+  
+  try {
+    news.config.topics = {
+      enabled: true,
+      sections: [
+        { id: 'macro', label: 'Macro', quota: 1, keywords: ['federal reserve'] },
+        { id: 'crypto', label: 'Crypto', quota: 1, keywords: ['stablecoin'], entities: ['BTC'] }
+      ]
+    };
+    
+    // Legacy single target still works
+    news.config.notifications = { enabled: true, channel: 'whatsapp', target: '+64000', outbox: { enabled: false } };
+    const [legacy] = news.getRecipients();
+    assert(legacy.target === '+64000' && legacy.format === 'markdown', 'Single channel/target becomes one recipient');
+    
+    news.config.notifications = {
+      enabled: true,
+      channel: 'whatsapp',
+      outbox: { enabled: false },
+      recipients: [
+        { name: 'crypto', channel: 'telegram', target: '@crypto', format: 'plain', topics: ['crypto'], maxItems: 5 },
+        { name: 'watchlist', target: '+64111', tickers: ['NVDA'], keywords: ['oil'] },
+        { name: 'everything', target: '+64222', maxItems: 1 },
+        { name: 'nothing', target: '+64333', tickers: ['AAPL'] },
+        { name: 'off', target: '+64444', enabled: false }
+      ]
+    };
+    const recipients = news.getRecipients();
+    assert(recipients.length === 4 && recipients[1].channel === 'whatsapp', 'Recipients inherit the default channel');
+    
+    const digest = ranked.slice(0, 2);
+    const digests = recipients.map(r => news.selectForRecipient(ranked, r, digest));
+    assert(digests[0].map(s => s.headline).join('|') === 'Bitcoin tops record high|Stablecoin bill advances in Senate', 'Topic subscription');
+    assert(digests[0].every(s => s.topic.id === 'crypto'), 'Personal digests keep topic sections');
+    assert(digests[1].map(s => s.headline).join('|') === 'Nvidia beats estimates again|Oil slides on demand worries', 'Ticker and keyword subscriptions');
+    assert(digests[2].length === 1 && digests[2][0] === digest[0], 'No subscriptions: main digest cut to maxItems');
+    assert(digests[3].length === 0, 'Nothing matches');
+    
+    const sent = [];
+    const render = (format, stories) => `${format}:${stories.map(s => s.headline).join(';')}`;
+    const delivery = await news.deliverToRecipients(recipients, digests, render, async (channel, target, text, options) => {
+      sent.push({ channel, target, text, format: options.format });
+      return `id-${sent.length}`;
+    });
+    assert(sent.length === 3, 'One message per non-empty digest');
+    assert(sent[0].channel === 'telegram' && sent[0].target === '@crypto' && sent[0].text.startsWith('plain:Bitcoin'), 'Per-recipient channel, target and format');
+    assert(sent[1].text.startsWith('whatsapp:') && sent[1].format === 'whatsapp', 'Markdown recipients get their channel\'s markup, and the gateway is told');
+    assert(delivery.status === 'sent' && delivery.recipients[3].status === 'empty', 'Outcome per recipient');
+    
+    const failing = await news.deliverToRecipients(recipients, digests, render, async (channel, target) => {
+      if (target === '+64111') throw new Error('blocked');
+      return 'id';
+    });
+    assert(failing.status === 'partial' && failing.recipients[1].status === 'failed', 'One failed recipient makes the run partial');
+    
+    // Story memory leaves out only what failed to reach anyone
+    const remembered = news.storiesToRemember(failing, digests, digest).map(s => s.headline);
+    assert(!remembered.includes('Nvidia beats estimates again') && remembered.includes('Bitcoin tops record high'), 'Failed recipient\'s stories not remembered');
+    assert(remembered.includes(digest[0].headline), 'A story that also reached another recipient is remembered');
+    const queued = { recipients: [{ status: 'failed', queued: 2 }, { status: 'partial', queued: 0 }] };
+    assert(news.storiesToRemember(queued, digests).length === digests[0].length, 'Queued in the outbox counts, partial does not');
+    assert(news.storiesToRemember({ status: 'disabled', recipients: [] }, digests, digest).length === digest.length, 'Whole digest remembered when disabled');
+    assert(news.storiesToRemember({ status: 'skipped', reason: '--no-send' }, digests, digest).length === digest.length, 'Whole digest remembered when skipped');
+    
+    console.log('  ✓ Recipients get personalized digests');
+  } finally {
+    news.config.notifications = savedNotifications;
+    news.config.topics = savedTopics;
+  }
+}
+
+async function testMessagingClient() {
+  console.log('\n📡 Testing gateway messaging client...');
+  
+  const hostile = 'Stocks "soar" $(touch /tmp/pwned) `id`\nline two';
+  const received = [];
+  let flaky = 0;
+  const { server, baseUrl } = await startMockServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      received.push({ url: req.url, auth: req.headers.authorization, key: req.headers['idempotency-key'], body });
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/flaky' && ++flaky < 3) {
+        res.writeHead(503, { 'Retry-After': '0' });
+        return res.end(JSON.stringify({ error: 'warming up' }));
+      }
+      if (req.url === '/reject') {
+        res.writeHead(400);
+        return res.end(JSON.stringify({ error: 'unknown target' }));
+      }
+      if (req.url === '/nested') return res.end(JSON.stringify({ ok: true, result: { messageId: 'wamid.2' } }));
+      res.end(JSON.stringify({ messageId: 'wamid.1' }));
+    });
+  });
+  const receiptsFile = path.join(os.tmpdir(), `news-receipts-${process.pid}.jsonl`);
+  const fakeCli = path.join(os.tmpdir(), `fake-openclaw-${process.pid}.js`);
+  const argsFile = `${fakeCli}.args`;
+  
+  try {
+    const client = createMessagingClient({ url: `${baseUrl}/send`, token: 'secret', backoffMs: 1, receiptsFile });
+    const sent = await client.send('whatsapp', '+64000', hostile);
+    assert(sent.messageId === 'wamid.1' && sent.attempts === 1, 'Message ID returned');
+    assert(received[0].auth === 'Bearer secret', 'Token sent in header');
+    assert(received[0].body.message === hostile && received[0].body.target === '+64000', 'Message sent verbatim as JSON');
+    const receipt = JSON.parse(fs.readFileSync(receiptsFile, 'utf8').trim());
+    assert(receipt.messageId === 'wamid.1' && receipt.channel === 'whatsapp', 'Receipt recorded');
+    
+    const nested = await createMessagingClient({ url: `${baseUrl}/nested` }).send('telegram', '@x', '<b>hi</b>', { format: 'telegram' });
+    assert(nested.messageId === 'wamid.2', 'Nested result parsed');
+    const html = received[received.length - 1].body;
+    assert(html.format === 'telegram' && html.parseMode === 'HTML', 'Telegram HTML sent with its parse mode');
+    assert(!('parseMode' in received[0].body) && !('format' in received[0].body), 'No parse mode without a format');
+    
+    const retried = await createMessagingClient({ url: `${baseUrl}/flaky`, backoffMs: 1 }).send('whatsapp', '+64000', 'hi');
+    assert(retried.attempts === 3, 'Transient failures retried');
+    const flakyKeys = new Set(received.filter(r => r.url === '/flaky').map(r => r.key));
+    assert(flakyKeys.size === 1 && [...flakyKeys][0], 'Retries share one idempotency key');
+    await createMessagingClient({ url: `${baseUrl}/send` }).send('whatsapp', '+64000', 'hi', { idempotencyKey: 'entry-1' });
+    assert(received[received.length - 1].key === 'entry-1', 'Caller-supplied idempotency key sent');
+    
+    let rejected = null;
+    const before = received.length;
+    try {
+      await createMessagingClient({ url: `${baseUrl}/reject`, backoffMs: 1 }).send('whatsapp', 'nobody', 'hi');
+    } catch (e) {
+      rejected = e;
+    }
+    assert(rejected && rejected.status === 400 && /unknown target/.test(rejected.message), 'Rejection surfaced');
+    assert(received.length === before + 1, 'Permanent failures not retried');
+    
+    let refused = null;
+    try {
+      await createMessagingClient({ url: 'http://127.0.0.1:1/send', retries: 1, backoffMs: 1 }).send('whatsapp', '+64000', 'hi');
+    } catch (e) {
+      refused = e;
+    }
+    assert(refused && refused.transient && refused.attempts === 2, 'Connection errors retried then surfaced');
+    
+    // CLI transport passes arguments without a shell
+    fs.writeFileSync(fakeCli, [
+      '#!/usr/bin/env node',
+      `require('fs').writeFileSync(${JSON.stringify(argsFile)}, JSON.stringify(process.argv.slice(2)));`,
+      `process.stdout.write(JSON.stringify({ messageId: 'cli-1' }));`
+    ].join('\n'), { mode: 0o755 });
+    const cliSent = await createMessagingClient({ transport: 'cli', cliPath: fakeCli }).send('whatsapp', '+64000', hostile);
+    const cliArgs = JSON.parse(fs.readFileSync(argsFile, 'utf8'));
+    assert(cliSent.messageId === 'cli-1', 'CLI transport parses the response');
+    assert(cliArgs[cliArgs.indexOf('-m') + 1] === hostile, 'CLI receives the message verbatim, without a shell');
+    assert(!cliArgs.includes('--parse-mode'), 'No parse mode flag for plain text');
+    await createMessagingClient({ transport: 'cli', cliPath: fakeCli }).send('telegram', '@x', '<b>hi</b>', { format: 'telegram' });
+    const htmlArgs = JSON.parse(fs.readFileSync(argsFile, 'utf8'));
+    assert(htmlArgs[htmlArgs.indexOf('--parse-mode') + 1] === 'HTML', 'CLI passes the parse mode');
+    
+    console.log('  ✓ Messaging client sends, retries and records receipts');
+  } finally {
+    server.close();
+    for (const file of [receiptsFile, fakeCli, argsFile]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+  }
+}
+
+async function testOutbox() {
+  console.log('\n📤 Testing notification outbox...');
+  
+  const dir = path.join(os.tmpdir(), `news-outbox-${process.pid}`);
+  const savedNotifications = news.config.notifications;
+  const hour = 60 * 60 * 1000;
+  
+  try {
+    news.config.notifications = { ...savedNotifications, outbox: { enabled: true, dir, expiryHours: 12, maxAttempts: 3, lockWaitSeconds: 0.05 } };
+    const notif = { enabled: true, name: 'desk', channel: 'discord', target: '#news', format: 'discord', maxMessageLength: 500 };
+    const digest = Array.from({ length: 30 }, (_, i) => `${i + 1}. Story number ${i + 1}\n   Sources: A`).join('\n\n');
+    
+    // Gateway down: every part stays queued, nothing is lost
+    const down = await news.sendNotification(digest, notif, async () => { throw new Error('gateway down'); });
+    const queued = outbox.list(dir);
+    assert(down.status === 'failed' && down.queued === down.parts && queued.length === down.parts, 'Undelivered parts stay in the outbox');
+    assert(queued[0].attempts === 1 && queued[0].lastError === 'gateway down' && queued[1].attempts === 0, 'Later parts held behind the failed one');
+    assert(queued[0].recipient === 'desk' && queued[0].part === 1 && queued[0].format === 'discord', 'Entries record recipient, part and format');
+    
+    // send-pending delivers them, in order
+    const sent = [];
+    const keys = [];
+    const result = await news.sendPending(async (channel, target, text, options) => {
+      sent.push(text);
+      keys.push(options.idempotencyKey);
+      assert(options.format === 'discord', 'Queued parts keep their format');
+      return `id-${sent.length}`;
+    });
+    assert(keys.every((key, i) => key === queued[i].id), 'Outbox entry ids are the idempotency keys');
+    assert(result.sent.length === down.parts && outbox.list(dir).length === 0, 'send-pending flushes the outbox');
+    assert(sent.every((text, i) => text.startsWith(`(${i + 1}/${down.parts})`)), 'Parts redelivered in order');
+    
+    // Delivered straight away when the gateway is up
+    const up = await news.sendNotification('hello', notif, async () => 'id');
+    assert(up.status === 'sent' && outbox.list(dir).length === 0, 'Sent messages leave the outbox');
+    
+    // Expiry and attempt limits move messages to the dead-letter folder
+    outbox.enqueue(dir, [{ channel: 'whatsapp', target: '+64000', text: 'stale' }], { now: Date.now() - 13 * hour });
+    outbox.enqueue(dir, [{ channel: 'whatsapp', target: '+64000', text: 'a' }, { channel: 'whatsapp', target: '+64000', text: 'b' }]);
+    const fail = async () => { throw new Error('nope'); };
+    for (let i = 0; i < 3; i++) await outbox.flush(dir, fail, { maxAttempts: 3 });
+    const dead = outbox.listDead(dir);
+    assert(outbox.list(dir).length === 0, 'Nothing left pending');
+    assert(dead.map(e => e.deadReason).sort().join() === 'expired,group_failed,max_attempts', 'Dead letters record why');
+    
+    const stats = outbox.stats(dir);
+    assert(stats.pending === 0 && stats.dead === 3, 'Stats for the watchdog');
+    
+    // A flush in another process holds the lock; a stale lock is broken
+    const lock = path.join(dir, '.lock');
+    outbox.enqueue(dir, [{ channel: 'whatsapp', target: '+64000', text: 'locked' }]);
+    fs.writeFileSync(lock, '{}');
+    let locked = null;
+    try {
+      await outbox.flush(dir, async () => 'id', { lock: { waitMs: 50 } });
+    } catch (e) {
+      locked = e;
+    }
+    assert(locked && locked.code === 'ELOCKED' && outbox.list(dir).length === 1, 'Flush waits for the lock, then gives up');
+    const lockedSend = await news.sendNotification('locked out', notif, async () => 'id');
+    assert(lockedSend.status === 'failed' && lockedSend.queued === 1, 'A locked outbox keeps the message queued');
+    fs.utimesSync(lock, new Date(Date.now() - hour), new Date(Date.now() - hour));
+    const unlocked = await outbox.flush(dir, async () => 'id', { lock: { waitMs: 50, staleMs: 1000 } });
+    assert(unlocked.sent.length === 2 && !fs.existsSync(lock), 'Stale lock broken and released after the flush');
+    
+    // A slow flush keeps its lock fresh, so it isn't broken as stale mid-flush
+    const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+    outbox.enqueue(dir, ['a', 'b', 'c'].map(text => ({ channel: 'whatsapp', target: '+64000', text })));
+    const slowKeys = [];
+    const slowSend = async (channel, target, text, options) => {
+      slowKeys.push(options.idempotencyKey);
+      await pause(150);
+      return 'id';
+    };
+    const slow = outbox.flush(dir, slowSend, { lock: { staleMs: 200 } });
+    await pause(250);
+    let overlapping = null;
+    try {
+      await outbox.flush(dir, slowSend, { lock: { waitMs: 50, staleMs: 200 } });
+    } catch (e) {
+      overlapping = e;
+    }
+    assert((await slow).sent.length === 3, 'Slow flush sends everything');
+    assert(overlapping && overlapping.code === 'ELOCKED' && new Set(slowKeys).size === 3 && slowKeys.length === 3, 'A live lock is not broken, nothing sent twice');
+    
+    console.log('  ✓ Outbox keeps undelivered messages for redelivery');
+  } finally {
+    news.config.notifications = savedNotifications;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testScheduler() {
+  console.log('\n⏰ Testing scheduler...');
+  
+  const configFile = path.join(os.tmpdir(), `news-scheduler-${process.pid}.json`);
+  const writeCron = cron => fs.writeFileSync(configFile, JSON.stringify({ sources: [], cron }));
+  const logs = [];
+  let clock = Date.parse('2026-10-19T18:00:00Z');
+  let finishRun;
+  let runs = 0;
+  
+  try {
+    writeCron({ schedule: '*/15 * * * *', timezone: 'Pacific/Auckland', enabled: true });
+    const scheduler = createScheduler({
+      configFile,
+      now: () => clock,
+      log: message => logs.push(message),
+      run: () => {
+        runs++;
+        return new Promise(resolve => { finishRun = resolve; });
+      },
+      watch: false
+    });
+    scheduler.reload();
+    assert(new Date(scheduler.nextAt).toISOString() === '2026-10-19T18:15:00.000Z', 'First run planned');
+    assert(scheduler.upcoming(3).length === 3 && logs.some(l => l.startsWith('  next: Tue 2026-10-20 07:15')), 'Next runs shown');
+    
+    assert(scheduler.tick() === null && runs === 0, 'Nothing runs before it is due');
+    clock = Date.parse('2026-10-19T18:15:05Z');
+    const first = scheduler.tick();
+    assert(first && runs === 1 && scheduler.running, 'Due run starts');
+    
+    // Still running at the next slot: skipped, not overlapped
+    clock = Date.parse('2026-10-19T18:30:01Z');
+    assert(scheduler.tick() === null && runs === 1, 'Overlapping run skipped');
+    assert(scheduler.history[1].status === 'skipped', 'Skip recorded');
+    finishRun();
+    await first;
+    assert(!scheduler.running && scheduler.history[0].status === 'ok', 'Run completes');
+    
+    // Hot reload: a new schedule replans; an invalid edit keeps the old one
+    writeCron({ schedule: '0 9 * * *', timezone: 'UTC', enabled: true });
+    assert(scheduler.reload() && new Date(scheduler.nextAt).toISOString() === '2026-10-20T09:00:00.000Z', 'Reloaded schedule replans');
+    writeCron({ schedule: '0 25 * * *', timezone: 'UTC' });
+    assert(!scheduler.reload() && scheduler.schedule.schedule.expression === '0 9 * * *', 'Invalid edit keeps the previous schedule');
+    writeCron({ schedule: '0 9 * * *', timezone: 'UTC', enabled: false });
+    assert(scheduler.reload() && scheduler.nextAt === null && scheduler.upcoming().length === 0, 'cron.enabled false pauses runs');
+    
+    console.log('  ✓ Schedules, skips overlapping runs and hot-reloads the config');
+  } finally {
+    fs.rmSync(configFile, { force: true });
+  }
+}
+
+async function testCli() {
+  console.log('\n💻 Testing command-line interface...');
+  
+  const { server, baseUrl } = await startMockServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+    res.end(req.url === '/cnbc' ? MOCK_RSS_CNBC : MOCK_RSS_BLOOMBERG);
+  });
+  const configFile = path.join(os.tmpdir(), `news-cli-config-${process.pid}.json`);
+  const outDir = path.join(os.tmpdir(), `news-cli-out-${process.pid}`);
+  const memoryFile = path.join(os.tmpdir(), `news-cli-memory-${process.pid}.jsonl`);
+  const base = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'news-config.json'), 'utf8'));
+  const cli = (...args) => new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'fetch-news.js'), ...args, '--config', configFile], { encoding: 'utf8' },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+  
+  try {
+    fs.writeFileSync(configFile, JSON.stringify({
+      ...base,
+      sources: [
+        { name: 'Mock Bloomberg', url: `${baseUrl}/bloomberg`, maxHeadlines: 3, enabled: true },
+        { name: 'Mock CNBC', url: `${baseUrl}/cnbc`, maxHeadlines: 3, enabled: false }
+      ],
+      filter: { ...base.filter, minLength: 48 },
+      http: { ...base.http, conditional: false },
+      consolidation: { ...base.consolidation, memory: { enabled: false } },
+      notifications: { ...base.notifications, enabled: true, target: '+64000', recipients: [], outbox: { enabled: false } }
+    }));
+    
+    const list = await cli('sources', 'list', '--json');
+    assert(list.code === 0 && JSON.parse(list.stdout).map(s => s.enabled).join() === 'true,false', 'sources list --json');
+    
+    // sources test explains each headline, even for a disabled source
+    const tested = await cli('sources', 'test', 'mock', 'bloomberg', '--json');
+    const result = JSON.parse(tested.stdout);
+    assert(result.items.length === 3 && result.kept === 2, `Raw vs kept headlines (got ${result.kept}/${result.items.length})`);
+    assert(result.items.find(i => !i.kept).reason === 'too short (47 < 48)', 'Filter reason reported');
+    assert((await cli('sources', 'test', 'Mock CNBC')).stdout.includes('Mock CNBC: 3 raw headlines'), 'Disabled source can be tested');
+    
+    const valid = await cli('config', 'validate');
+    assert(valid.code === 0 && valid.stdout.includes('Config is valid'), 'config validate passes');
+    
+    // preview prints only the digest on stdout
+    const preview = await cli('preview', '--format', 'plain');
+    assert(preview.code === 0 && preview.stdout.includes('Federal Reserve'), 'preview prints the digest');
+    assert(!preview.stdout.includes('Fetching from'), 'Progress logs go to stderr');
+    
+    // --dry-run writes and sends nothing, and reports what it would do
+    const dry = await cli('send', '--dry-run', '--json', '--out-dir', outDir);
+    const summary = JSON.parse(dry.stdout);
+    assert(dry.code === 0 && summary.outputs.markdown === path.join(outDir, 'news-summary.md'), '--out-dir used for outputs');
+    assert(!fs.existsSync(outDir), 'Dry run writes no files');
+    assert(summary.delivery.status === 'dry-run' && summary.delivery.recipients[0].parts === 1, 'Dry run plans delivery');
+    
+    // With notifications disabled the digest still goes out as files, so it is remembered
+    fs.writeFileSync(configFile, JSON.stringify({
+      ...JSON.parse(fs.readFileSync(configFile, 'utf8')),
+      consolidation: { ...base.consolidation, memory: { ...base.consolidation.memory, file: memoryFile } },
+      notifications: { ...base.notifications, enabled: false }
+    }));
+    const run = await cli('send', '--json', '--out-dir', outDir);
+    const ran = JSON.parse(run.stdout);
+    const memory = fs.readFileSync(memoryFile, 'utf8').trim().split('\n');
+    assert(run.code === 0 && ran.delivery.status === 'disabled', 'Send runs with notifications disabled');
+    assert(ran.stories > 0 && memory.length === ran.stories, `Digest remembered without delivery (${memory.length}/${ran.stories})`);
+    
+    const unknown = await cli('frobnicate');
+    assert(unknown.code === 2 && unknown.stderr.includes('Unknown command'), 'Unknown command is a usage error');
+    
+    fs.writeFileSync(configFile, JSON.stringify({ ...base, output: { formats: ['pdf'] } }));
+    const invalid = await cli('config', 'validate', '--json');
+    assert(invalid.code === 1 && JSON.parse(invalid.stdout).errors[0].startsWith('output.formats'), 'config validate reports errors');
+    
+    console.log('  ✓ CLI commands fetch, preview, test sources and validate config');
+  } finally {
+    server.close();
+    fs.rmSync(configFile, { force: true });
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.rmSync(memoryFile, { force: true });
+  }
+}
+
 // ============================================================================
 // RUN ALL INTEGRATION TESTS
 // ============================================================================
@@ -498,7 +1382,18 @@ async function runIntegrationTests() {
     await testOutputFormatters();
     await testRetryLogic();
     await testOutputPathResolution();
+    await testArchiveSite();
+    await testFeedOutput();
     await testEscapeHtmlEdgeCases();
+    await testHttpClient();
+    await testStoryMemory();
+    await testAbstractiveSummaries();
+    await testNotificationDelivery();
+    await testRecipients();
+    await testMessagingClient();
+    await testOutbox();
+    await testScheduler();
+    await testCli();
     
     console.log('\n' + '='.repeat(50));
     console.log('✅ All integration tests passed!\n');
@@ -5,7 +5,14 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { parseFeed, decodeEntities } = require('../feed-parser');
+const { parseCron, nextRun, nextRuns } = require('../cron');
+const { substituteEnv, resolveConfig, mergeConfig } = require('../config-schema');
+const { compile } = require('../templates');
+const { chunkMessage } = require('../delivery');
+const news = require('../fetch-news');
 
 // ============================================================================
 // TEST HELPERS
@@ -37,18 +44,125 @@ function testConfigLoad() {
 }
 
 function testEnvSubstitution() {
-  process.env.TEST_API_KEY = 'test-key-123';
+  const env = { TEST_API_KEY: 'test-key-123', EMPTY: '' };
   
-  const testConfig = { braveApiKey: '${TEST_API_KEY}' };
+  assert(substituteEnv('${TEST_API_KEY}', env) === 'test-key-123', 'Environment substitution failed');
+  assert(substituteEnv('Bearer ${TEST_API_KEY}!', env) === 'Bearer test-key-123!', 'Substitution inside a string');
+  assert(substituteEnv('${MISSING}', env) === '', 'Unset variable becomes empty');
+  assert(substituteEnv('${MISSING:-/tmp/news}', env) === '/tmp/news' && substituteEnv('${EMPTY:-x}', env) === 'x', 'Default for unset or empty');
+  assert(substituteEnv('${TEST_API_KEY:-unused}', env) === 'test-key-123', 'Set variable wins over default');
+  console.log('✓ Environment variable substitution works');
+}
+
+function testConfigSchema() {
+  process.env.TEST_NEWS_TIMEOUT = '9000';
+  try {
+    const { config, errors } = resolveConfig({
+      timeout: '${TEST_NEWS_TIMEOUT}',
+      userAgent: '${TEST_NEWS_AGENT:-NewsBot}',
+      sources: [{ name: 'A', url: 'https://a.example/rss' }]
+    });
+    assert(errors.length === 0, `Minimal config is valid (got ${errors.join('; ')})`);
+    assert(config.timeout === 9000 && config.userAgent === 'NewsBot', 'Substituted values are typed');
+    assert(config.filter.excludePatterns.length === 0 && config.filter.minLength === 40, 'Missing filter gets defaults');
+    assert(config.sources[0].maxHeadlines === 3 && config.sources[0].enabled === true, 'Source defaults');
+  } finally {
+    delete process.env.TEST_NEWS_TIMEOUT;
+  }
+  
+  const { errors } = resolveConfig({
+    sources: [{ name: 'A', url: 'https://a.example/rss', maxHeadline: 3 }, { url: 'https://b.example/rss' }],
+    filter: { excludePatterns: 'cookie', minLength: -1 },
+    consolidation: { similarity: 'cosine' },
+    notifications: { recipients: [{ target: '+64000', format: 'pdf' }] }
+  });
+  const expected = [
+    'sources[0].maxHeadline is not a known setting (did you mean "maxHeadlines"?)',
+    'sources[1].name is required',
+    'filter.minLength must be at least 0 (got -1)',
+    'filter.excludePatterns must be an array (got "cookie")',
+    'consolidation.similarity must be one of jaccard, tfidf (got "cosine")',
+    'notifications.recipients[0].format must be one of markdown, json, html, plain (got "pdf")'
+  ];
+  for (const message of expected) assert(errors.includes(message), `Reports: ${message} (got ${errors.join('; ')})`);
+  assert(errors.length === expected.length, `Only real problems reported (got ${errors.length})`);
   
-  if (testConfig.braveApiKey && testConfig.braveApiKey.startsWith('${')) {
-    const envVar = testConfig.braveApiKey.match(/\$\{(\w+)\}/)[1];
-    testConfig.braveApiKey = process.env[envVar] || '';
+  // Override layers: objects merge, arrays replace
+  const merged = mergeConfig({ filter: { minLength: 40, keywords: ['a', 'b'] } }, { filter: { keywords: ['c'] } });
+  assert(merged.filter.minLength === 40 && merged.filter.keywords.join() === 'c', 'Layers deep-merge');
+  
+  console.log('✓ Config schema fills defaults and reports path-qualified errors');
+}
+
+function testTemplates() {
+  const view = { title: 'A & B', items: [{ name: 'x', n: 1 }, { name: 'y', n: 2 }], empty: [], meta: { when: 'today' } };
+  assert(compile('{{title}} {{{title}}}')(view, { escape: news.escapeHtml }) === 'A &amp; B A & B', 'Escaped and raw values');
+  assert(compile('{{title}}')(view) === 'A & B', 'No escaping outside html');
+  assert(compile('{{#items}}{{name}}={{n}};{{/items}}{{^empty}}none{{/empty}} {{meta.when}}')(view) === 'x=1;y=2;none today', 'Sections, inverted sections and dotted names');
+  assert(compile('{{#items}}{{title}}{{/items}}')(view) === 'A & BA & B', 'Names resolve outwards');
+  
+  // Tags alone on a line take the line with them
+  const lines = compile('{{! list }}\nStart\n{{#items}}\n  - {{name}}\n{{/items}}\nEnd\n')(view);
+  assert(lines === 'Start\n  - x\n  - y\nEnd\n', `Standalone lines removed (got ${JSON.stringify(lines)})`);
+  
+  for (const [source, message] of [['{{#a}}x', 'Unclosed section {{#a}} from line 1'], ['x\n{{/a}}', 'Unexpected {{/a}} on line 2'], ['{{a', 'Unclosed tag on line 1']]) {
+    let error = null;
+    try {
+      compile(source, 'bad.mustache');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.code === 'ETEMPLATE' && error.message === `bad.mustache: ${message}`, `Template error: ${message}`);
   }
   
-  assert(testConfig.braveApiKey === 'test-key-123', 'Environment substitution failed');
-  console.log('✓ Environment variable substitution works');
-  delete process.env.TEST_API_KEY;
+  // output.templates replaces a format's template
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-templates-'));
+  const savedOutput = news.config.output;
+  try {
+    const file = path.join(dir, 'brand.md');
+    fs.writeFileSync(file, 'Acme Daily {{date}}\n{{#stories}}{{rank}}. {{headline}} ({{score}}, {{summary}}){{/stories}}');
+    news.config.output = { ...savedOutput, templates: { markdown: file } };
+    const story = { headline: 'Fed holds', sources: ['A'], score: 0.75, summary: 'Rates unchanged.' };
+    assert(news.formatMarkdown([story], [], 'today', '1.0') === 'Acme Daily today\n1. Fed holds (0.75, Rates unchanged.)', 'Custom template used');
+    assert(news.formatPlain([story], [], 'today', '1.0').startsWith('MORNING NEWS SUMMARY - today'), 'Other formats keep the default');
+    
+    news.config.output.templates = { html: path.join(dir, 'missing.html'), rss: file };
+    const errors = news.validateConfig();
+    assert(errors.some(e => e.startsWith('output.templates.html:') && e.includes('Cannot read template')), 'Missing template reported');
+    assert(errors.includes('output.templates.rss is not a templated format (use markdown, plain, html, whatsapp, slack, telegram, discord)'), 'Untemplated format reported');
+  } finally {
+    news.config.output = savedOutput;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✓ Templates render sections and custom digest templates');
+}
+
+function testChannelMarkup() {
+  const story = { headline: 'Fed *holds* <rates> & [cuts]_later', link: 'https://x.test/a?b=1&c=2', summary: 'Rates unchanged.', sources: ['A'] };
+  const line = channel => news.formatMessage(channel, [story], [], 'today', '1.0').split('\n').find(l => l.startsWith('1. '));
+  assert(line('whatsapp') === '1. Fed holds <rates> & [cuts]later', 'WhatsApp: formatting marks dropped from the headline');
+  assert(line('slack') === '1. <https://x.test/a?b=1&amp;c=2|Fed *holds* &lt;rates&gt; &amp; [cuts]_later>', 'Slack: mrkdwn link, entities escaped');
+  assert(line('telegram') === '1. <a href="https://x.test/a?b=1&amp;c=2">Fed *holds* &lt;rates&gt; &amp; [cuts]_later</a>', 'Telegram: HTML link, entities escaped');
+  assert(line('discord') === '1. [Fed \\*holds\\* \\<rates\\> & \\[cuts\\]\\_later](<https://x.test/a?b=1&c=2>)', 'Discord: masked link, markdown escaped');
+  assert(news.formatMessage('whatsapp', [story], [], 'today', '1.0').startsWith('📰 *Morning News Summary*'), 'WhatsApp bold is single-starred');
+  const odd = { ...story, link: 'https://x.test/wiki/A_(b)>x' };
+  assert(news.formatMessage('whatsapp', [odd], [], 'today', '1.0').includes('\n   https://x.test/wiki/A_%28b%29%3Ex\n'), 'WhatsApp: link on its own line, underscores kept');
+  assert(news.formatMessage('discord', [odd], [], 'today', '1.0').includes('](<https://x.test/wiki/A_%28b%29%3Ex>)'), 'Discord: link cannot break out of <…>');
+  
+  // Markdown recipients get their channel's markup; explicit formats are kept
+  const notif = { enabled: true };
+  assert(news.messageFormat({ channel: 'Telegram', format: 'markdown' }, notif) === 'telegram', 'Channel selects the renderer');
+  assert(news.messageFormat({ channel: 'signal', format: 'markdown' }, notif) === 'markdown', 'Other channels keep markdown');
+  assert(news.messageFormat({ channel: 'slack', format: 'plain' }, notif) === 'plain', 'Explicit format wins');
+  assert(news.messageFormat({ channel: 'slack', format: 'markdown' }, { channelMarkup: false }) === 'markdown', 'channelMarkup: false turns it off');
+  
+  // Markup stays on one line, so parts split at the Discord limit stay well-formed
+  const many = Array.from({ length: 30 }, (_, i) => ({ ...story, headline: `Story ${i} ${'x'.repeat(80)}` }));
+  const parts = chunkMessage(news.formatMessage('discord', many, [], 'today', '1.0'), 2000);
+  assert(parts.length > 1 && parts.every(p => p.length <= 2000), 'Split within the Discord limit');
+  const storyLines = parts.flatMap(p => p.split('\n')).filter(l => /^\d+\. /.test(l));
+  assert(storyLines.length === 30 && storyLines.every(l => l.endsWith('>)')), 'Links never split');
+  console.log('✓ Channel renderers escape and link per platform');
 }
 
 function testGitHubEncoding() {
@@ -169,6 +283,134 @@ function testOutputFormatting() {
   console.log('✓ Output formatting works correctly');
 }
 
+// ============================================================================
+// FEED PARSING TESTS
+// ============================================================================
+
+function testRssParsing() {
+  const feed = parseFeed(`<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Markets</title>
+    <atom:link href="https://example.com/feed" rel="self"/>
+    <item>
+      <title>Nvidia &lt;b&gt;beats&lt;/b&gt; estimates as <![CDATA[AI demand]]> soars</title>
+      <atom:link href="https://example.com/ignored" rel="self"/>
+      <link>https://example.com/nvidia</link>
+      <guid isPermaLink="false">nv-1</guid>
+      <pubDate>Mon, 16 Mar 2026 07:00:00 GMT</pubDate>
+      <description><![CDATA[<p>Shares jumped <b>8%</b> after hours.</p>]]></description>
+      <dc:creator>Jane Doe</dc:creator>
+      <category>Tech</category>
+      <category>Earnings</category>
+      <slash:comments>12</slash:comments>
+    </item>
+  </channel>
+</rss>`);
+  
+  assert(feed.format === 'rss', `Expected rss, got ${feed.format}`);
+  assert(feed.title === 'Markets', 'Channel title');
+  const item = feed.items[0];
+  assert(item.title === 'Nvidia beats estimates as AI demand soars', `Inline markup title: "${item.title}"`);
+  assert(item.link === 'https://example.com/nvidia', 'RSS link wins over atom:link');
+  assert(item.guid === 'nv-1', 'guid');
+  assert(item.pubDate.toISOString() === '2026-03-16T07:00:00.000Z', 'pubDate');
+  assert(item.description === 'Shares jumped 8% after hours.', 'description');
+  assert(item.author === 'Jane Doe', 'dc:creator author');
+  assert(item.categories.join(',') === 'Tech,Earnings', 'categories');
+  assert(item.comments === 12, 'slash:comments');
+  
+  // An unclosed tag with many quoted attributes must not backtrack exponentially
+  const attrs = Array.from({ length: 40 }, (_, i) => `a${i}="v"`).join(' ');
+  const start = Date.now();
+  const unclosed = parseFeed(`<rss><channel><item><title>Still parsed</title><x ${attrs}`);
+  assert(Date.now() - start < 1000, `Unclosed tag parsed in ${Date.now() - start}ms`);
+  assert(unclosed.items[0].title === 'Still parsed', 'Item around an unclosed tag');
+  
+  // Only http(s) links survive, in the parser and again when rendering
+  const scripted = parseFeed('<rss><channel><item><title>Click</title><link> JavaScript:alert(1)</link></item><item><title>Data</title><guid>data:text/html,x</guid></item></channel></rss>');
+  assert(scripted.items.every(i => i.link === ''), 'Script and data links dropped');
+  const html = news.formatHTML([{ headline: 'Archived', link: 'javascript:alert(1)', sources: ['A'] }], [], 'today', '1.0');
+  assert(!html.includes('javascript:') && html.includes('1. Archived'), 'Unsafe archived links are not rendered');
+  console.log('✓ RSS 2.0 parsing works');
+}
+
+function testAtomParsing() {
+  const feed = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom Markets</title>
+  <entry>
+    <title type="html">Oil &amp;amp; gas &lt;em&gt;rally&lt;/em&gt; on supply fears</title>
+    <link rel="replies" href="https://example.com/oil#comments" thr:count="4"/>
+    <link rel="alternate" href="https://example.com/oil"/>
+    <id>urn:uuid:oil-1</id>
+    <updated>2026-03-16T06:00:00Z</updated>
+    <published>2026-03-16T05:00:00Z</published>
+    <summary>Brent crude climbed 3%.</summary>
+    <author><name>Sam Lee</name></author>
+    <category term="commodities" label="Commodities"/>
+  </entry>
+</feed>`);
+  
+  assert(feed.format === 'atom', `Expected atom, got ${feed.format}`);
+  const item = feed.items[0];
+  assert(item.title === 'Oil & gas rally on supply fears', `Atom title: "${item.title}"`);
+  assert(item.link === 'https://example.com/oil', 'Alternate link');
+  assert(item.guid === 'urn:uuid:oil-1', 'id');
+  assert(item.pubDate.toISOString() === '2026-03-16T05:00:00.000Z', 'published preferred over updated');
+  assert(item.author === 'Sam Lee', 'author name');
+  assert(item.categories[0] === 'Commodities', 'category label');
+  assert(item.comments === 4, 'thr:count on replies link');
+  console.log('✓ Atom parsing works');
+}
+
+function testRdfParsing() {
+  const feed = parseFeed(`<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://example.com/"><title>RDF Feed</title></channel>
+  <item rdf:about="https://example.com/gold">
+    <title>Gold hits record high as dollar weakens</title>
+    <link>https://example.com/gold</link>
+    <dc:date>2026-03-16T04:00:00Z</dc:date>
+    <dc:subject>Commodities</dc:subject>
+  </item>
+</rdf:RDF>`);
+  
+  assert(feed.format === 'rdf', `Expected rdf, got ${feed.format}`);
+  assert(feed.title === 'RDF Feed', 'RDF channel title');
+  assert(feed.items.length === 1, 'One RDF item');
+  assert(feed.items[0].guid === 'https://example.com/gold', 'rdf:about guid');
+  assert(feed.items[0].pubDate.toISOString() === '2026-03-16T04:00:00.000Z', 'dc:date');
+  assert(feed.items[0].categories[0] === 'Commodities', 'dc:subject');
+  console.log('✓ RDF parsing works');
+}
+
+function testJsonFeedParsing() {
+  const feed = parseFeed(JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'JSON Markets',
+    items: [{
+      id: 42,
+      url: 'https://example.com/fed',
+      title: 'Fed holds rates steady',
+      content_html: '<p>No change <i>expected</i>.</p>',
+      date_published: '2026-03-16T03:00:00Z',
+      authors: [{ name: 'Ana Ruiz' }],
+      tags: ['macro']
+    }]
+  }));
+  
+  assert(feed.format === 'json', `Expected json, got ${feed.format}`);
+  const item = feed.items[0];
+  assert(item.guid === '42', 'id coerced to string');
+  assert(item.description === 'No change expected.', `content_html stripped: "${item.description}"`);
+  assert(item.author === 'Ana Ruiz', 'authors[0]');
+  assert(item.categories[0] === 'macro', 'tags');
+  
+  assert(parseFeed('{"not":"a feed"}').format === null, 'Arbitrary JSON is not a feed');
+  assert(parseFeed('<html><body><h1>Hi</h1></body></html>').format === null, 'HTML is not a feed');
+  assert(decodeEntities('&#8217;&#x2014;&amp;') === '’—&', 'Numeric entities decode');
+  console.log('✓ JSON Feed parsing works');
+}
+
 // ============================================================================
 // CONSOLIDATION ALGORITHM TESTS
 // ============================================================================
@@ -190,6 +432,35 @@ function testPreprocessing() {
   console.log('✓ Text preprocessing works');
 }
 
+function testNormalization() {
+  const { stem, normalizeNumbers, createNormalizer } = require('../text-normalize');
+  
+  // Stemming collapses inflections
+  for (const group of [['raise', 'raises', 'raised', 'raising'], ['cut', 'cuts', 'cutting'], ['rally', 'rallies', 'rallied']]) {
+    const stems = new Set(group.map(stem));
+    assert(stems.size === 1, `Stems should match for ${group.join('/')}: ${[...stems].join(',')}`);
+  }
+  assert(stem('gas') === 'gas' && stem('crisis') === 'crisis' && stem('business') === 'business', 'Short and -is/-ss words are kept');
+  
+  // Numbers and percentages share one spelling
+  assert(normalizeNumbers('$100k') === normalizeNumbers('$100,000'), '$100K equals $100,000');
+  assert(normalizeNumbers('5 percent') === normalizeNumbers('5%'), '5 percent equals 5%');
+  assert(normalizeNumbers('$1.2 billion') === '1_2b', `Billions: ${normalizeNumbers('$1.2 billion')}`);
+  assert(normalizeNumbers('s&p 500 in 2026') === 's&p 500 in 2026', 'Plain numbers are untouched');
+  
+  // Synonyms, including user additions and $TICKER aliases
+  const normalizer = createNormalizer({ synonyms: { 'kiwi': 'nzd' } });
+  assert(normalizer.text('$tsla and the kiwi') === 'tesla and the nzd', `Synonyms: ${normalizer.text('$tsla and the kiwi')}`);
+  assert(normalizer.text('feds fed') === 'feds federal reserve', 'Aliases only match whole words');
+  assert(createNormalizer({ useDefaultSynonyms: false }).text('fed') === 'fed', 'Default dictionary can be disabled');
+  
+  // Differently worded headlines about the same event now overlap
+  const a = news.preprocessText('Fed raises rates');
+  const b = news.preprocessText('Federal Reserve hikes interest rate');
+  assert(news.jaccardSimilarity(a, b) === 1, `Expected identical tokens: ${a} vs ${b}`);
+  console.log('✓ Stemming, synonym and number normalization works');
+}
+
 function testJaccardSimilarity() {
   const jaccard = (tokens1, tokens2) => {
     const set1 = new Set(tokens1);
@@ -256,6 +527,309 @@ function testGrouping() {
   console.log('✓ Grouping similar items works');
 }
 
+function testOrderIndependentClustering() {
+  const consolidation = news.config.consolidation;
+  const saved = { threshold: consolidation.similarityThreshold, linkage: consolidation.linkage };
+  
+  // A~B and B~C, but A is not similar to C
+  const items = [
+    { source: 'WSJ', headline: 'cherry damson elder figs' },
+    { source: 'Bloomberg', headline: 'apple banana cherry damson' },
+    { source: 'CNBC', headline: 'apple banana cherry damson elder figs' },
+    { source: 'Reuters', headline: 'gold silver platinum rally' }
+  ];
+  const permutations = [
+    [0, 1, 2, 3], [3, 2, 1, 0], [2, 0, 3, 1], [1, 3, 0, 2]
+  ].map(order => order.map(i => items[i]));
+  const describe = clusters => JSON.stringify(clusters.map(c => c.map(i => i.source)));
+  
+  try {
+    consolidation.similarityThreshold = 0.5;
+    
+    for (const linkage of ['single', 'average', 'complete']) {
+      consolidation.linkage = linkage;
+      const results = permutations.map(p => describe(news.groupSimilarHeadlines(p)));
+      assert(results.every(r => r === results[0]), `${linkage} linkage should ignore input order: ${results.join(' | ')}`);
+    }
+    
+    consolidation.linkage = 'single';
+    assert(news.groupSimilarHeadlines(items).length === 2, 'Single linkage chains A~B~C into one cluster');
+    consolidation.linkage = 'average';
+    assert(news.groupSimilarHeadlines(items).length === 2, 'Average linkage keeps C with A and B');
+    consolidation.linkage = 'complete';
+    assert(news.groupSimilarHeadlines(items).length === 3, 'Complete linkage needs every pair to be similar');
+    
+    consolidation.linkage = 'centroid';
+    let threw = false;
+    try { news.groupSimilarHeadlines(items); } catch { threw = true; }
+    assert(threw, 'Unknown linkage is rejected');
+  } finally {
+    consolidation.similarityThreshold = saved.threshold;
+    consolidation.linkage = saved.linkage;
+  }
+  console.log('✓ Order-independent clustering works');
+}
+
+function testTfidfSimilarity() {
+  const consolidation = news.config.consolidation;
+  const saved = { threshold: consolidation.similarityThreshold, similarity: consolidation.similarity, linkage: consolidation.linkage };
+  
+  const items = [
+    { source: 'A', headline: 'Stocks markets rally Nvidia earnings' },
+    { source: 'B', headline: 'Stocks markets slump Tesla recall' },
+    { source: 'C', headline: 'Stocks markets steady oil prices' },
+    { source: 'D', headline: 'Stocks markets mixed bank results' },
+    { source: 'E', headline: 'Nvidia earnings crush estimates' }
+  ];
+  
+  // IDF: tokens in every document weigh less than rare ones
+  const idf = news.buildIdf(items.map(i => news.preprocessText(i.headline)));
+  assert(idf.get('market') < idf.get('nvidia'), 'Common tokens get lower IDF');
+  assert(idf.unseen >= idf.get('tesla'), 'Unseen tokens get maximum IDF');
+  assert(Math.abs(news.cosineSimilarity(new Map([['a', 1]]), new Map([['a', 3]])) - 1) < 1e-9, 'Parallel vectors have cosine 1');
+  
+  try {
+    Object.assign(consolidation, { similarityThreshold: 0.25, linkage: 'single', similarity: 'jaccard' });
+    const jaccardClusters = news.groupSimilarHeadlines(items);
+    
+    consolidation.similarity = 'tfidf';
+    const matrix = news.similarityMatrix(items, []);
+    assert(matrix[0][4] > matrix[0][1], 'Shared "Nvidia earnings" outweighs shared "stocks markets"');
+    const tfidfClusters = news.groupSimilarHeadlines(items);
+    
+    assert(jaccardClusters.length === 1, `Jaccard lumps generic finance headlines together (${jaccardClusters.length})`);
+    assert(tfidfClusters.length === 4, `TF-IDF keeps them apart (${tfidfClusters.length})`);
+    assert(tfidfClusters.some(c => c.map(i => i.source).sort().join() === 'A,E'), 'Nvidia headlines still cluster');
+    
+    // Archive documents make otherwise-rare tokens common
+    const archive = Array.from({ length: 20 }, () => ['nvidia']);
+    assert(news.similarityMatrix(items, archive)[0][4] < matrix[0][4], 'Archive lowers weight of frequent tokens');
+    
+    consolidation.similarity = 'bm25';
+    let threw = false;
+    try { news.similarityMatrix(items, []); } catch { threw = true; }
+    assert(threw, 'Unknown similarity metric is rejected');
+  } finally {
+    Object.assign(consolidation, saved);
+  }
+  console.log('✓ TF-IDF cosine similarity works');
+}
+
+function testHeadlineSelection() {
+  assert(news.stripPublisherSuffix('Fed cuts rates by 25bp - Bloomberg', 'Google News') === 'Fed cuts rates by 25bp', 'Strips publisher names');
+  assert(news.stripPublisherSuffix('Oil rises on OPEC cut | reuters.com') === 'Oil rises on OPEC cut', 'Strips domains');
+  assert(news.stripPublisherSuffix('Stocks slide - what investors need to know') === 'Stocks slide - what investors need to know', 'Keeps real clauses');
+  assert(news.stripPublisherSuffix('Markets slide - Dow Drops 500 Points') === 'Markets slide - Dow Drops 500 Points', 'Keeps suffixes with numbers');
+  assert(news.stripPublisherSuffix('Fed holds rates - slowdown shows signs', 'Dow Jones Market Pulse') === 'Fed holds rates - slowdown shows signs', 'Source name must match the whole suffix');
+  assert(news.stripPublisherSuffix('Fed holds rates - Dow Jones Market Pulse', 'Dow Jones Market Pulse') === 'Fed holds rates', 'Strips the source name');
+  assert(news.stripPublisherSuffix('Apple beats estimates - Shares Jump') === 'Apple beats estimates - Shares Jump', 'Keeps Title Case clauses');
+  const titleCase = { publishers: new Set(), stripTitleCaseSuffix: true };
+  assert(news.stripPublisherSuffix('Apple beats estimates - Acme Daily', '', titleCase) === 'Apple beats estimates', 'stripTitleCaseSuffix strips unknown names');
+  
+  const cluster = [
+    { source: 'Yahoo', headline: 'Fed cuts rates by a quarter point' },
+    { source: 'CNBC', headline: 'Fed cuts rates by a quarter point as inflation cools' },
+    { source: 'WSJ', headline: 'Fed cuts rates, shocking everyone in a move nobody saw coming at all' },
+    { source: 'Bloomberg', headline: 'Fed cuts...' },
+    { source: 'Reuters', headline: 'Fed acts again on Tuesday' }
+  ].map(item => ({ ...item, title: item.headline, entities: [] }));
+  const pick = options => news.chooseHeadline(cluster, { sourcePriority: [], ...options }).source;
+  
+  assert(pick({ strategy: 'longest' }) === 'WSJ', 'Longest strategy');
+  assert(pick({ strategy: 'shortest' }) === 'Reuters', 'Shortest complete headline skips truncated ones');
+  assert(pick({ strategy: 'centroid' }) === 'Yahoo', 'Centroid is most similar to the others');
+  assert(pick({ strategy: 'sourcePriority', sourcePriority: ['AP', 'Bloomberg'] }) === 'Bloomberg', 'First listed source wins');
+  assert(pick({ strategy: 'sourcePriority', sourcePriority: ['AP'] }) === 'Yahoo', 'No listed source falls back to centroid');
+  
+  const consolidation = news.config.consolidation;
+  const saved = consolidation.headline;
+  try {
+    consolidation.headline = { strategy: 'shortest' };
+    const [story] = news.consolidateClusters([cluster]);
+    assert(story.headline === 'Fed acts again on Tuesday', 'consolidateClusters uses the strategy');
+    assert(story.alternateHeadlines.length === 4 && !story.alternateHeadlines.includes(story.headline), 'Alternates kept');
+    const json = JSON.parse(news.formatJSON([story], [], 'today', '1.0', []));
+    assert(json.topStories[0].alternateHeadlines.length === 4, 'JSON includes alternates');
+    
+    consolidation.headline = { strategy: 'newest' };
+    let threw = false;
+    try { news.consolidateClusters([cluster]); } catch (e) { threw = /strategy/.test(e.message); }
+    assert(threw, 'Unknown strategy is rejected');
+  } finally {
+    consolidation.headline = saved;
+  }
+  console.log('✓ Headline selection works');
+}
+
+function testEntityExtraction() {
+  const { loadDictionary, createExtractor } = require('../entities');
+  const extract = createExtractor(loadDictionary({
+    extra: [{ ticker: 'XRO', name: 'Xero', exchange: 'ASX', aliases: ['Xero'] }]
+  }));
+  const tickers = text => extract(text).map(e => e.ticker).sort().join(',');
+  
+  assert(tickers('$TSLA slides as Nvidia rallies') === 'NVDA,TSLA', 'Cashtags and names');
+  assert(tickers('Acme Corp (NASDAQ: ACME) files for IPO') === 'ACME', 'Exchange-qualified tickers');
+  assert(extract('Acme Corp (NASDAQ: ACME) files for IPO')[0].exchange === 'NASDAQ', 'Exchange recorded');
+  assert(tickers('Xero shares climb') === 'XRO', 'User-extended dictionary');
+  assert(tickers('Ford and GM in talks; MS and F report') === 'F', 'Bare tickers are not matched');
+  assert(tickers('Pineapple prices, a $100 bill and Metaverse hype') === '', 'No false positives inside words or money');
+  
+  // Stories carry entities; shared entities pull headlines together
+  const consolidation = news.config.consolidation;
+  const saved = { threshold: consolidation.similarityThreshold, linkage: consolidation.linkage };
+  try {
+    Object.assign(consolidation, { similarityThreshold: 0.3, linkage: 'average' });
+    const items = [
+      { source: 'A', title: 'Nvidia smashes quarterly forecasts' },
+      { source: 'B', title: 'Chipmaker Nvidia tops estimates again' }
+    ].map(i => ({ ...i, headline: i.title, entities: news.extractEntities(i) }));
+    const withoutEntities = items.map(i => ({ ...i, entities: [] }));
+    
+    assert(news.groupSimilarHeadlines(withoutEntities).length === 2, 'Text alone is below threshold');
+    const clusters = news.groupSimilarHeadlines(items);
+    assert(clusters.length === 1, 'Shared entity merges the cluster');
+    const [story] = news.consolidateClusters(clusters);
+    assert(story.entities.length === 1 && story.entities[0].ticker === 'NVDA', 'Story carries merged entities');
+    assert(news.formatMarkdown([{ ...story, sources: ['A', 'B'] }], [], 'today', '1.0').includes('Tags: NVDA'), 'Markdown shows tags');
+    assert(news.formatHTML([{ ...story, sources: ['A', 'B'] }], [], 'today', '1.0').includes('<span class="tag" title="Nvidia">NVDA</span>'), 'HTML shows tags');
+  } finally {
+    Object.assign(consolidation, saved);
+  }
+  console.log('✓ Entity extraction works');
+}
+
+function testTopicCategorization() {
+  const saved = news.config.topics;
+  const topics = {
+    enabled: true,
+    defaultQuota: 1,
+    sections: [
+      { id: 'macro', label: 'Macro', quota: 2, keywords: ['federal reserve', 'inflation'] },
+      { id: 'crypto', label: 'Crypto', keywords: ['stablecoin'], entities: ['BTC'] }
+    ],
+    other: { label: 'Other', quota: 1 }
+  };
+  try {
+    news.config.topics = topics;
+    
+    const story = (headline, score, entities = []) =>
+      ({ headline, score, sources: ['A'], entities, articles: [{ title: headline }] });
+    const ranked = [
+      story('Fed holds rates steady', 5),
+      story('Bitcoin tops record high', 4, [{ ticker: 'BTC', name: 'Bitcoin' }]),
+      story('Inflation cools in March', 3),
+      story('Stablecoin bill advances', 2),
+      story('Local team wins final', 1.5),
+      story('Federal Reserve minutes released', 1),
+      story('Weather warning issued', 0.5)
+    ];
+    const top = news.selectTopStories(ranked, 10);
+    const byTopic = stories => stories.map(s => `${s.topic.id}:${s.headline.split(' ')[0]}`).join('|');
+    
+    // Synonyms/stemming match "Fed"; entities match without keywords; quotas cap each section
+    assert(byTopic(top) === 'macro:Fed|macro:Inflation|crypto:Bitcoin|other:Local', `Quota selection (got ${byTopic(top)})`);
+    // maxItems caps the total: the highest-scoring stories, still in section order
+    const capped = news.selectTopStories(ranked, 3);
+    assert(byTopic(capped) === 'macro:Fed|macro:Inflation|crypto:Bitcoin', `maxItems caps quotas (got ${byTopic(capped)})`);
+    
+    const markdown = news.formatMarkdown(top, [], 'today', '1.0');
+    assert(markdown.indexOf('**Macro**') < markdown.indexOf('**Crypto**'), 'Markdown sections in config order');
+    assert(markdown.includes('**Crypto**\n\n3. Bitcoin'), 'Ranks continue across sections');
+    assert(news.formatPlain(top, [], 'today', '1.0').includes('CRYPTO\n------'), 'Plain text sections');
+    assert(news.formatHTML(top, [], 'today', '1.0').includes('<h2>Other</h2>'), 'HTML sections');
+    const json = JSON.parse(news.formatJSON(top, [], 'today', '1.0', []));
+    assert(json.sections[0].id === 'macro' && json.sections[0].ranks.join() === '1,2', 'JSON sections');
+    assert(json.topStories[2].topic.label === 'Crypto', 'JSON story topic');
+    
+    // Topics off: flat top-N, unsectioned output
+    news.config.topics = { ...topics, enabled: false };
+    const flat = news.selectTopStories(ranked, 3);
+    assert(flat.length === 3 && !flat[0].topic, 'Flat list when topics are disabled');
+    assert(!news.formatMarkdown(flat, [], 'today', '1.0').includes('**Macro**'), 'No section headers');
+  } finally {
+    news.config.topics = saved;
+  }
+  console.log('✓ Topic categorization works');
+}
+
+function testSummarization() {
+  assert(news.splitSentences('The U.S. Treasury sold $20 bn. Yields rose 2.5% after.').length === 2, 'Abbreviations and decimals do not split');
+  
+  const story = {
+    headline: 'Fed cuts rates by 25 basis points',
+    articles: [
+      { title: 'Fed cuts rates by 25 basis points', description: 'The Federal Reserve cut rates by 25 basis points. Policymakers signalled two more cuts this year as inflation cools. The post Fed cuts appeared first on Example News.' },
+      { title: 'Fed lowers rates', description: 'Officials signalled two more cuts this year as inflation cools. Stocks rallied on the news.' },
+      { title: 'Rate cut', description: '' }
+    ]
+  };
+  for (const method of ['centroid', 'textrank']) {
+    const summary = news.summarize(story, { method, maxSentences: 2, maxLength: 280, minSentenceLength: 10 });
+    assert(summary && !summary.includes('appeared first'), `${method}: boilerplate dropped`);
+    assert(!summary.startsWith('The Federal Reserve cut rates'), `${method}: headline restatement skipped`);
+    assert(summary.includes('two more cuts'), `${method}: picks the central sentence`);
+    assert(!(summary.includes('Policymakers signalled') && summary.includes('Officials signalled')), `${method}: near-duplicates not repeated`);
+  }
+  
+  const capped = news.summarize(story, { method: 'centroid', maxSentences: 2, maxLength: 40, minSentenceLength: 10 });
+  assert(capped.length <= 40 && capped.endsWith('...'), 'Length cap truncates at a word boundary');
+  assert(news.summarize({ headline: 'x', articles: [{ title: 'x' }] }, { method: 'centroid', maxSentences: 2, maxLength: 280, minSentenceLength: 10 }) === null, 'No descriptions, no summary');
+  
+  const item = { headline: 'Fed cuts rates', summary: 'Two more cuts are expected.', sources: ['A'], entities: [] };
+  assert(news.formatMarkdown([item], [], 'today', '1.0').includes('   _Two more cuts are expected._'), 'Markdown shows summary');
+  assert(news.formatPlain([item], [], 'today', '1.0').includes('   Two more cuts are expected.'), 'Plain text shows summary');
+  assert(news.formatHTML([item], [], 'today', '1.0').includes('<p class="summary">Two more cuts are expected.</p>'), 'HTML shows summary');
+  assert(JSON.parse(news.formatJSON([item], [], 'today', '1.0', [])).topStories[0].summary === item.summary, 'JSON includes summary');
+  console.log('✓ Story summarization works');
+}
+
+function testCronSchedule() {
+  const iso = ms => new Date(ms).toISOString();
+  const tz = 'Pacific/Auckland';
+  
+  const weekdays = parseCron('15 7 * * mon-sat');
+  assert(weekdays.weekdays.join() === '1,2,3,4,5,6' && weekdays.minutes.join() === '15', 'Names and ranges');
+  assert(parseCron('*/20 9-17/4 * * 7').hours.join() === '9,13,17' && parseCron('0 0 * * 7').weekdays.join() === '0', 'Steps; 7 is Sunday');
+  assert(parseCron('@daily').hours.join() === '0', 'Macros');
+  for (const bad of ['* * *', '60 * * * *', '5-1 * * * *', '*/0 * * * *', '* * * foo *']) {
+    let threw = false;
+    try {
+      parseCron(bad);
+    } catch (e) {
+      threw = e.code === 'ECRON';
+    }
+    assert(threw, `Rejects "${bad}"`);
+  }
+  
+  // Mon-Sat 07:15 in Auckland: Saturday 07:15 NZDT, then skips Sunday
+  const schedule = '15 7 * * 1,2,3,4,5,6';
+  const runs = nextRuns(schedule, Date.parse('2026-10-23T18:00:00Z'), tz, 2).map(iso);
+  assert(runs.join() === '2026-10-23T18:15:00.000Z,2026-10-25T18:15:00.000Z', `Weekday schedule in ${tz} (got ${runs})`);
+  assert(iso(nextRun(schedule, Date.parse('2026-10-23T18:15:00Z'), tz)) === runs[1], 'Strictly after the given time');
+  
+  // Spring forward (NZ 2026-09-27 02:00 -> 03:00): 02:30 runs at 03:30 that day
+  const spring = nextRuns('30 2 * * *', Date.parse('2026-09-25T15:00:00Z'), tz, 2).map(iso);
+  assert(spring.join() === '2026-09-26T14:30:00.000Z,2026-09-27T13:30:00.000Z', `Skipped local time runs later (got ${spring})`);
+  
+  // Fall back (NZ 2026-04-05 03:00 -> 02:00): 02:30 runs once, hourly jobs run in both hours
+  const fall = nextRuns('30 2 * * *', Date.parse('2026-04-04T00:00:00Z'), tz, 2).map(iso);
+  assert(fall.join() === '2026-04-04T13:30:00.000Z,2026-04-05T14:30:00.000Z', `Repeated local time runs once (got ${fall})`);
+  const hourly = nextRuns('30 * * * *', Date.parse('2026-04-04T13:00:00Z'), tz, 2).map(iso);
+  assert(hourly.join() === '2026-04-04T13:30:00.000Z,2026-04-04T14:30:00.000Z', `Hourly runs in both hours (got ${hourly})`);
+  
+  // Day-of-month OR day-of-week when both are set; impossible dates are skipped
+  assert(iso(nextRun('0 9 13 * 5', Date.parse('2026-11-07T00:00:00Z'), 'UTC')) === '2026-11-13T09:00:00.000Z', 'Day-of-month or day-of-week');
+  const tuesday = Date.parse('2026-10-20T00:00:00Z');
+  assert(iso(nextRun('0 7 */1 * 1', tuesday, 'UTC')) === '2026-10-26T07:00:00.000Z', 'Stepped "*" day-of-month leaves day-of-week alone');
+  assert(iso(nextRun('0 7 1-31 * 1', tuesday, 'UTC')) === '2026-10-26T07:00:00.000Z', 'Full day-of-month range leaves day-of-week alone');
+  assert(iso(nextRun('0 7 13 * 0-6', tuesday, 'UTC')) === '2026-11-13T07:00:00.000Z', 'Full day-of-week range leaves day-of-month alone');
+  assert(iso(nextRun('0 0 29 2 *', Date.parse('2026-10-19T00:00:00Z'), 'UTC')) === '2028-02-29T00:00:00.000Z', 'Leap day');
+  assert(nextRun('0 0 30 2 *', 0, 'UTC') === null, 'Impossible date never runs');
+  
+  console.log('✓ Cron schedules evaluate in the configured time zone');
+}
+
 function testScoring() {
   const items = [
     { sourceCount: 2, publishedAt: new Date(), engagement: 5000 },
@@ -274,6 +848,85 @@ function testScoring() {
   console.log('✓ Scoring algorithm works');
 }
 
+function testRecencyScoring() {
+  const now = Date.parse('2026-03-16T12:00:00Z');
+  const hoursAgo = h => new Date(now - h * 60 * 60 * 1000).toISOString();
+  
+  // Half-life decay with the fallback for undated items
+  assert(news.recencyScore(hoursAgo(0), now, 12, 0.5) === 1, 'Fresh item scores 1');
+  assert(Math.abs(news.recencyScore(hoursAgo(12), now, 12, 0.5) - 0.5) < 1e-9, 'One half-life scores 0.5');
+  assert(Math.abs(news.recencyScore(hoursAgo(24), now, 12, 0.5) - 0.25) < 1e-9, 'Two half-lives score 0.25');
+  assert(news.recencyScore(hoursAgo(-2), now, 12, 0.5) === 1, 'Future dates count as fresh');
+  assert(news.recencyScore(null, now, 12, 0.3) === 0.3, 'Undated items use the fallback');
+  
+  // Recency now breaks ties between equally covered stories
+  const scored = news.scoreItems([
+    { headline: 'Old story', sourceCount: 1, publishedAt: hoursAgo(30) },
+    { headline: 'New story', sourceCount: 1, publishedAt: hoursAgo(1) },
+    { headline: 'Undated story', sourceCount: 1, publishedAt: null }
+  ], now);
+  assert(scored.map(s => s.headline).join(',') === 'New story,Undated story,Old story', 'Fresher stories rank higher');
+  assert(scored[0].scoreBreakdown.recency > scored[2].scoreBreakdown.recency, 'Recency component is reported');
+  
+  // Clusters take their freshest member's publication time
+  const [story] = news.consolidateClusters([[
+    { source: 'A', headline: 'Fed holds rates', title: 'Fed holds rates', pubDate: new Date(hoursAgo(5)) },
+    { source: 'B', headline: 'Fed keeps rates on hold', title: 'Fed keeps rates on hold', pubDate: new Date(hoursAgo(2)) }
+  ]]);
+  assert(story.publishedAt === hoursAgo(2), 'Cluster publishedAt is the freshest pubDate');
+  console.log('✓ Recency scoring works');
+}
+
+function testEngagementScoring() {
+  const { resolveProviders, measureEngagement, registerProvider } = require('../engagement');
+  const shareFile = path.join(require('os').tmpdir(), `news-shares-${process.pid}.json`);
+  fs.writeFileSync(shareFile, JSON.stringify({
+    'https://example.com/a': 120,
+    'guid-b': { shares: 30, likes: 10 }
+  }));
+  
+  try {
+    registerProvider({ name: 'fixed', measure: article => article.fixed ?? null });
+    const providers = resolveProviders({ providers: ['brave', 'feedComments', 'shareFile', 'fixed'], shareFile }, '/');
+    
+    const engagement = measureEngagement([
+      { link: 'https://example.com/a', comments: 15, braveMeta: { views: 5, comments: undefined } },
+      { guid: 'guid-b', comments: null, fixed: 7 }
+    ], providers);
+    assert(engagement.signals.feedComments === 15, 'Feed comment counts are summed');
+    assert(engagement.signals.shareFile === 160, 'Share file counts are matched by link and guid');
+    assert(engagement.signals.brave === 5, 'Brave metadata counts are summed');
+    assert(engagement.signals.fixed === 7, 'Custom providers contribute');
+    assert(engagement.total === 187, `Total engagement, got ${engagement.total}`);
+    assert(measureEngagement([{ title: 'nothing' }], providers) === null, 'No signals means null');
+    
+    let threw = false;
+    try { resolveProviders({ providers: ['nope'] }); } catch { threw = true; }
+    assert(threw, 'Unknown providers are rejected');
+  } finally {
+    fs.unlinkSync(shareFile);
+  }
+  
+  // A heavily discussed single-source story outranks one merely repeated twice
+  const scored = news.scoreItems([
+    { headline: 'Repeated', sourceCount: 2, publishedAt: null, engagement: null },
+    { headline: 'Discussed', sourceCount: 1, publishedAt: null, engagement: { total: 5000, signals: {} } }
+  ]);
+  const weights = news.config.consolidation.scoring;
+  const saved = { ...weights };
+  Object.assign(weights, { engagementWeight: 3, sourceCountWeight: 1, maxEngagement: 500 });
+  const reweighted = news.scoreItems([
+    { headline: 'Repeated', sourceCount: 2, publishedAt: null, engagement: null },
+    { headline: 'Discussed', sourceCount: 1, publishedAt: null, engagement: { total: 5000, signals: {} } }
+  ]);
+  Object.assign(weights, saved);
+  assert(scored[0].headline === 'Repeated', 'Default weights favour coverage');
+  assert(reweighted[0].headline === 'Discussed', 'Engagement weight lifts discussed stories');
+  assert(news.engagementScore(null, 500, 0.3) === 0.3, 'Unknown engagement uses the fallback');
+  assert(news.engagementScore({ total: 250 }, 500, 0.3) === 0.5, 'Engagement is normalized');
+  console.log('✓ Engagement scoring works');
+}
+
 // ============================================================================
 // RUN ALL TESTS
 // ============================================================================
@@ -285,6 +938,9 @@ function runTests() {
     // Config tests
     testConfigLoad();
     testEnvSubstitution();
+    testConfigSchema();
+    testTemplates();
+    testChannelMarkup();
     testGitHubEncoding();
     testOutputWritable();
     
@@ -294,11 +950,27 @@ function runTests() {
     testConfigValidation();
     testOutputFormatting();
     
+    // Feed parsing tests
+    testRssParsing();
+    testAtomParsing();
+    testRdfParsing();
+    testJsonFeedParsing();
+    
     // Consolidation algorithm tests
     testPreprocessing();
+    testNormalization();
     testJaccardSimilarity();
     testGrouping();
+    testOrderIndependentClustering();
+    testTfidfSimilarity();
+    testHeadlineSelection();
+    testEntityExtraction();
+    testTopicCategorization();
+    testSummarization();
+    testCronSchedule();
     testScoring();
+    testRecencyScoring();
+    testEngagementScoring();
     
     console.log('\n✅ All unit tests passed!\n');
     process.exit(0);
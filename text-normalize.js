@@ -0,0 +1,183 @@
+/**
+ * Text Normalization for OpenClaw News
+ * Brings differently-worded headlines about the same event onto a common
+ * vocabulary before tokenizing:
+ *
+ *   "Fed raises rates"                    -> federal reserve rais rat
+ *   "Federal Reserve hikes interest rate" -> federal reserve rais interest rat
+ *
+ * Stages (each can be switched off in consolidation.normalization):
+ *   numbers   - "100,000" / "$100K" -> 100k, "5 percent" / "5%" -> 5pct
+ *   synonyms  - alias dictionary ("fed" -> "federal reserve", "$tsla" -> "tesla")
+ *   stemming  - light English suffix stripping (raises/raised/raising -> rais)
+ */
+
+const DEFAULT_SYNONYMS = {
+  // Central banks
+  'fed': 'federal reserve',
+  'the fed': 'federal reserve',
+  'fomc': 'federal reserve',
+  'us federal reserve': 'federal reserve',
+  'ecb': 'european central bank',
+  'boe': 'bank of england',
+  'boj': 'bank of japan',
+  'rbnz': 'reserve bank of new zealand',
+  'rba': 'reserve bank of australia',
+  'pboc': 'peoples bank of china',
+
+  // Places
+  'u.s.': 'usa',
+  'united states': 'usa',
+  'u.k.': 'uk',
+  'britain': 'uk',
+  'united kingdom': 'uk',
+  'nz': 'new zealand',
+
+  // Rate moves
+  'hikes': 'raises',
+  'hike': 'raise',
+  'hiked': 'raised',
+  'hiking': 'raising',
+  'lifts': 'raises',
+  'slashes': 'cuts',
+  'lowers': 'cuts',
+  'trims': 'cuts',
+  'interest rates': 'rates',
+  'interest rate': 'rate',
+
+  // Market moves
+  'surges': 'rises',
+  'soars': 'rises',
+  'jumps': 'rises',
+  'climbs': 'rises',
+  'gains': 'rises',
+  'plunges': 'falls',
+  'tumbles': 'falls',
+  'sinks': 'falls',
+  'slides': 'falls',
+  'drops': 'falls',
+
+  // Tickers and short names
+  '$tsla': 'tesla',
+  '$aapl': 'apple',
+  '$nvda': 'nvidia',
+  '$msft': 'microsoft',
+  '$amzn': 'amazon',
+  '$goog': 'alphabet',
+  '$googl': 'alphabet',
+  'google': 'alphabet',
+  '$meta': 'meta',
+  'btc': 'bitcoin',
+  'eth': 'ethereum'
+};
+
+const SCALES = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mn: 1e6, mln: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, tn: 1e12, trillion: 1e12
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Render a value as a compact token: 100000 -> 100k, 1.5e9 -> 1_5b
+ * (underscore instead of a decimal point survives punctuation stripping)
+ */
+function numberToken(value) {
+  const units = [[1e12, 't'], [1e9, 'b'], [1e6, 'm'], [1e3, 'k']];
+  for (const [size, suffix] of units) {
+    if (value >= size) {
+      return `${+(value / size).toFixed(2)}${suffix}`.replace('.', '_');
+    }
+  }
+  return String(+value.toFixed(2)).replace('.', '_');
+}
+
+/**
+ * Canonicalize money, magnitudes, percentages and basis points
+ */
+function normalizeNumbers(text) {
+  return text
+    // 5 percent, 5 per cent, 5%, 5 pct -> 5pct
+    .replace(/(\d+(?:\.\d+)?)\s*(?:%|percent\b|per cent\b|pct\b)/g, (_, n) => `${numberToken(parseFloat(n))}pct`)
+    // 25 bps, 25 basis points -> 25bp
+    .replace(/(\d+(?:\.\d+)?)\s*(?:bps?\b|basis points?\b)/g, (_, n) => `${numberToken(parseFloat(n))}bp`)
+    // $1.2 billion, $100K, 100,000, 3bn -> 1_2b, 100k, 100k, 3b
+    .replace(/([$€£¥])?\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)(?:\s?(thousand|million|billion|trillion|mln|mn|bn|tn|[kmbt])\b)?/g,
+      (match, currency, digits, scale) => {
+        if (!currency && !scale && !digits.includes(',')) return match;
+        const value = parseFloat(digits.replace(/,/g, '')) * (scale ? SCALES[scale] : 1);
+        return `${match.startsWith(' ') ? ' ' : ''}${numberToken(value)}`;
+      });
+}
+
+/**
+ * Light English stemmer: strips common inflections so that
+ * raise/raises/raised/raising and cut/cuts/cutting share a stem.
+ * Never shortens a word below three characters.
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+
+  if (/[^aeiou]ies$/.test(w) || /[^aeiou]ied$/.test(w)) {
+    w = w.slice(0, -3) + 'y';
+  } else if (w.endsWith('ing') && w.length - 3 >= 3) {
+    w = w.slice(0, -3);
+  } else if (w.endsWith('ed') && w.length - 2 >= 3) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w) && w.length - 1 >= 3) {
+    w = w.slice(0, -1);
+  }
+
+  // cutting -> cutt -> cut (but keep "fall", "boss", "buzz")
+  if (/([^aeioulsz])\1$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith('e') && w.length - 1 >= 3) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Build a normalizer from consolidation.normalization config
+ * Returns { text(lowercased) -> string, token(word) -> string }
+ */
+function createNormalizer(options = {}) {
+  const useNumbers = options.numbers !== false;
+  const useStemming = options.stemming !== false;
+  const synonyms = {};
+  for (const [alias, canonical] of Object.entries({
+    ...(options.useDefaultSynonyms === false ? {} : DEFAULT_SYNONYMS),
+    ...(options.synonyms || {})
+  })) {
+    synonyms[alias.toLowerCase()] = String(canonical).toLowerCase();
+  }
+
+  // One alternation, longest alias first, so replacements never cascade
+  const aliases = Object.keys(synonyms).sort((a, b) => b.length - a.length);
+  const synonymRegex = aliases.length
+    ? new RegExp(`(^|[^\\w$])(${aliases.map(escapeRegex).join('|')})(?![\\w])`, 'g')
+    : null;
+
+  return {
+    text(lowercased) {
+      let text = lowercased;
+      if (synonymRegex) {
+        text = text.replace(synonymRegex, (_, lead, alias) => `${lead}${synonyms[alias]}`);
+      }
+      if (useNumbers) text = normalizeNumbers(text);
+      return text;
+    },
+    token(word) {
+      return useStemming ? stem(word) : word;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SYNONYMS,
+  createNormalizer,
+  normalizeNumbers,
+  stem
+};
@@ -0,0 +1,153 @@
+/**
+ * Topic Categorization for OpenClaw News
+ * Classifies stories into configured topics (macro, equities, crypto, ...)
+ * and picks each topic's top stories up to its own quota.
+ *
+ * Config (news-config.json):
+ *   "topics": {
+ *     "enabled": true,
+ *     "defaultQuota": 2,
+ *     "sections": [
+ *       { "id": "crypto", "label": "Crypto", "quota": 2, "keywords": ["bitcoin", "stablecoin"], "entities": ["BTC", "ETH"] }
+ *     ],
+ *     "other": { "label": "Other", "quota": 1 }
+ *   }
+ */
+
+const ENTITY_MATCH_WEIGHT = 2;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize the topics config into a list of sections
+ * The catch-all "other" section (if configured) always comes last.
+ */
+function getSections(topicsConfig = {}) {
+  const defaultQuota = topicsConfig.defaultQuota ?? 2;
+  const sections = (topicsConfig.sections || []).map(section => ({
+    id: section.id,
+    label: section.label || section.id,
+    quota: section.quota ?? defaultQuota,
+    keywords: section.keywords || [],
+    entities: (section.entities || []).map(e => e.toUpperCase())
+  }));
+  if (topicsConfig.other) {
+    sections.push({
+      id: 'other',
+      label: topicsConfig.other.label || 'Other',
+      quota: topicsConfig.other.quota ?? defaultQuota,
+      keywords: [],
+      entities: [],
+      catchAll: true
+    });
+  }
+  return sections;
+}
+
+/**
+ * Score how well a story fits a section
+ * Keywords match either as normalized tokens (so "rate" matches "Rates")
+ * or as a whole phrase in the raw text; entities match by ticker/name.
+ */
+function sectionScore(section, text, tokens, entityKeys, tokenize) {
+  let score = 0;
+  for (const keyword of section.keywords) {
+    const keywordTokens = tokenize(keyword);
+    const tokenMatch = keywordTokens.length > 0 && keywordTokens.every(t => tokens.has(t));
+    const phraseMatch = new RegExp(`(?<![\\w])${escapeRegex(keyword.toLowerCase())}(?![\\w])`).test(text);
+    if (tokenMatch || phraseMatch) score += 1;
+  }
+  for (const key of section.entities) {
+    if (entityKeys.has(key)) score += ENTITY_MATCH_WEIGHT;
+  }
+  return score;
+}
+
+/**
+ * Text, normalized tokens and entity keys a story is matched on
+ */
+function storyFeatures(story, tokenize) {
+  const titles = [story.headline, ...(story.articles || []).map(a => a.title || '')];
+  return {
+    text: titles.join('\n').toLowerCase(),
+    tokens: new Set(titles.flatMap(t => tokenize(t))),
+    entityKeys: new Set((story.entities || []).flatMap(e => [e.ticker, e.name && e.name.toUpperCase()]).filter(Boolean))
+  };
+}
+
+/**
+ * Pick the best-matching section for a story, or the catch-all (or null)
+ * Ties go to the section listed first in config.
+ */
+function classifyStory(story, sections, tokenize) {
+  const { text, tokens, entityKeys } = storyFeatures(story, tokenize);
+
+  let best = null;
+  for (const section of sections) {
+    if (section.catchAll) continue;
+    const score = sectionScore(section, text, tokens, entityKeys, tokenize);
+    if (score > 0 && (!best || score > best.score)) best = { section, score };
+  }
+  return best ? best.section : (sections.find(s => s.catchAll) || null);
+}
+
+/**
+ * Whether a story matches any of the given keywords or entities
+ * (same matching rules as topic sections)
+ */
+function matchesRules(story, { keywords = [], entities = [] }, tokenize) {
+  const { text, tokens, entityKeys } = storyFeatures(story, tokenize);
+  const rules = { keywords, entities: entities.map(e => e.toUpperCase()) };
+  return sectionScore(rules, text, tokens, entityKeys, tokenize) > 0;
+}
+
+/**
+ * Classify ranked stories and keep each section's top `quota`, at most
+ * maxItems in all (the highest-scoring ones)
+ * Input must be sorted by score; output is grouped by section in config
+ * order, each story tagged with { topic: { id, label } }.
+ */
+function selectByQuota(rankedStories, sections, tokenize, maxItems = Infinity) {
+  const picked = new Map(sections.map(s => [s.id, []]));
+  let total = 0;
+  for (const story of rankedStories) {
+    if (total >= maxItems) break;
+    const section = classifyStory(story, sections, tokenize);
+    if (!section) continue;
+    const bucket = picked.get(section.id);
+    if (bucket.length < section.quota) {
+      bucket.push({ ...story, topic: { id: section.id, label: section.label } });
+      total++;
+    }
+  }
+  return sections.flatMap(s => picked.get(s.id));
+}
+
+/**
+ * Group consecutive stories by topic for sectioned rendering
+ * Returns [{ topic, stories: [{ story, rank }] }]; a single untitled group
+ * when stories carry no topic.
+ */
+function groupByTopic(stories) {
+  const groups = [];
+  stories.forEach((story, i) => {
+    const topic = story.topic || null;
+    const last = groups[groups.length - 1];
+    if (last && (last.topic?.id ?? null) === (topic?.id ?? null)) {
+      last.stories.push({ story, rank: i + 1 });
+    } else {
+      groups.push({ topic, stories: [{ story, rank: i + 1 }] });
+    }
+  });
+  return groups;
+}
+
+module.exports = {
+  getSections,
+  classifyStory,
+  matchesRules,
+  selectByQuota,
+  groupByTopic
+};
@@ -9,13 +9,18 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { createMessagingClient } = require('./messaging-client');
+const outbox = require('./outbox');
+const { loadConfig } = require('./config-schema');
+const { latestPath } = require('./outputs');
 
 // Configuration
+const CONFIG_FILE = path.join(__dirname, 'news-config.json');
 const WATCHDOG_FILE = '/tmp/news-fetcher-watchdog.json';
 const OUTPUT_FILE = '/tmp/latest-news.txt';
 const MAX_AGE_HOURS = 26; // Alert if no run in 26 hours
 const ALERT_THRESHOLD_HOURS = 30; // Critical if no run in 30 hours
+const OUTBOX_STUCK_HOURS = 2; // Warn if a message has waited this long
 
 function getLastRun() {
   try {
@@ -24,17 +29,35 @@ function getLastRun() {
       return {
         timestamp: new Date(data.lastRun),
         hoursAgo: (Date.now() - new Date(data.lastRun).getTime()) / (1000 * 60 * 60),
-        success: data.success !== false
+        success: data.success !== false,
+        delivery: data.delivery || null
       };
     }
   } catch (e) {}
   return null;
 }
 
+function loadNewsConfig() {
+  try {
+    return loadConfig(CONFIG_FILE).config;
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * The default digest (outputFile), or its latest pointer if it is templated
+ */
+function newsFilePath() {
+  const file = path.resolve(__dirname, loadNewsConfig().outputFile || OUTPUT_FILE);
+  return latestPath(file, path.extname(file).slice(1) || 'txt') || file;
+}
+
 function checkNewsFile() {
+  const file = newsFilePath();
   try {
-    if (fs.existsSync(OUTPUT_FILE)) {
-      const stats = fs.statSync(OUTPUT_FILE);
+    if (fs.existsSync(file)) {
+      const stats = fs.statSync(file);
       const ageHours = (Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60);
       return {
         exists: true,
@@ -46,17 +69,46 @@ function checkNewsFile() {
   return { exists: false, ageHours: null };
 }
 
-function sendAlert(message) {
+function loadNotificationConfig() {
+  return loadNewsConfig().notifications || {};
+}
+
+function checkOutbox() {
+  const dir = loadNotificationConfig().outbox?.dir;
+  if (!dir) return null;
+  return outbox.stats(path.resolve(__dirname, dir));
+}
+
+/**
+ * Where alerts go: NEWS_WATCHDOG_ALERT_TARGET, else notifications.target,
+ * else the first enabled recipient; on that recipient's (or the default) channel
+ */
+function alertDestination(notif) {
+  const recipient = (notif.recipients || []).find(r => r.enabled !== false && r.target);
+  const target = process.env.NEWS_WATCHDOG_ALERT_TARGET || notif.target || recipient?.target || null;
+  const channel = (!process.env.NEWS_WATCHDOG_ALERT_TARGET && !notif.target && recipient?.channel) || notif.channel || 'whatsapp';
+  return { channel, target };
+}
+
+async function sendAlert(message) {
   try {
-    const target = process.env.NEWS_WATCHDOG_ALERT_TARGET || '+64220621342';
-    const escapedMessage = message.replace(/"/g, '\\"');
-    const cmd = `openclaw message send --channel whatsapp --target "${target}" -m "${escapedMessage}" --json`;
-    
-    execSync(cmd, {
-      encoding: 'utf8',
+    const notif = loadNotificationConfig();
+    const { channel, target } = alertDestination(notif);
+    if (!target) {
+      console.error('Alert not sent: no notifications.target or recipient configured');
+      return false;
+    }
+    const client = createMessagingClient({
+      transport: notif.transport || 'http',
+      url: notif.gateway?.url || null,
+      token: process.env.OPENCLAW_GATEWAY_TOKEN || '',
       timeout: 15000,
-      env: { ...process.env }
+      retries: notif.gateway?.retries,
+      backoffMs: notif.gateway?.backoffMs,
+      cliPath: notif.cliPath
     });
+    const { messageId } = await client.send(channel, target, message);
+    console.log(`   Alert sent (${messageId})`);
     return true;
   } catch (error) {
     console.error(`Alert failed: ${error.message}`);
@@ -64,9 +116,10 @@ function sendAlert(message) {
   }
 }
 
-function checkHealth() {
+async function checkHealth() {
   const lastRun = getLastRun();
   const newsFile = checkNewsFile();
+  const outboxStats = checkOutbox();
   const now = new Date();
   
   console.log('🔍 News Fetcher Watchdog');
@@ -80,13 +133,22 @@ function checkHealth() {
   
   console.log(`📰 Last run: ${lastRun.timestamp.toLocaleString()} (${lastRun.hoursAgo.toFixed(1)} hours ago)`);
   console.log(`📄 News file: ${newsFile.exists ? `${newsFile.ageHours.toFixed(1)} hours old` : 'not found'}`);
+  if (lastRun.delivery) {
+    console.log(`📬 Delivery: ${lastRun.delivery.status}${lastRun.delivery.error ? ` - ${lastRun.delivery.error}` : ''}`);
+    for (const r of lastRun.delivery.recipients || []) {
+      console.log(`   ${r.name}: ${r.status}${r.parts ? ` (${r.delivered}/${r.parts} parts)` : ''}${r.error ? ` - ${r.error}` : ''}`);
+    }
+  }
+  if (outboxStats && (outboxStats.pending > 0 || outboxStats.dead > 0)) {
+    console.log(`📤 Outbox: ${outboxStats.pending} pending${outboxStats.pending ? ` (oldest ${outboxStats.oldestAgeHours.toFixed(1)}h, ${outboxStats.maxAttempts} attempts${outboxStats.lastError ? `, last error: ${outboxStats.lastError}` : ''})` : ''}, ${outboxStats.dead} given up`);
+  }
   console.log('');
   
   // Critical: No run in 30+ hours
   if (lastRun.hoursAgo > ALERT_THRESHOLD_HOURS) {
     console.log('🔴 CRITICAL: No news run in 30+ hours!');
     const alertMsg = `🚨 News Watchdog ALERT: No news fetcher run in ${lastRun.hoursAgo.toFixed(1)} hours. Last successful run: ${lastRun.timestamp.toLocaleString()}`;
-    sendAlert(alertMsg);
+    await sendAlert(alertMsg);
     return { healthy: false, reason: 'critical_no_run', hoursAgo: lastRun.hoursAgo };
   }
   
@@ -96,25 +158,42 @@ function checkHealth() {
     return { healthy: false, reason: 'stale', hoursAgo: lastRun.hoursAgo };
   }
   
+  // Warning: ran, but the digest didn't (fully) reach its recipient
+  if (lastRun.delivery && ['failed', 'partial'].includes(lastRun.delivery.status)) {
+    console.log('🟡 WARNING: Last digest was not delivered');
+    return { healthy: false, reason: 'delivery_failed', delivery: lastRun.delivery };
+  }
+  
+  // Warning: messages waiting in the outbox
+  if (outboxStats && outboxStats.pending > 0 && outboxStats.oldestAgeHours > OUTBOX_STUCK_HOURS) {
+    console.log('🟡 WARNING: Messages stuck in the outbox');
+    return { healthy: false, reason: 'outbox_stuck', outbox: outboxStats };
+  }
+  
   // Healthy
   console.log('✅ News fetcher healthy');
   return { healthy: true, hoursAgo: lastRun.hoursAgo };
 }
 
 // Run watchdog
-const result = checkHealth();
-
-if (!result.healthy) {
-  if (result.reason === 'critical_no_run') {
-    console.log('\n🚨 Critical alert sent');
-    process.exit(1);
-  } else if (result.reason === 'stale') {
-    console.log('\n⚠️  Stale - may need investigation');
-    process.exit(1);
-  } else {
-    console.log('\n❌ Unhealthy');
+checkHealth().then(result => {
+  if (!result.healthy) {
+    if (result.reason === 'critical_no_run') {
+      console.log('\n🚨 Critical alert sent');
+    } else if (result.reason === 'stale') {
+      console.log('\n⚠️  Stale - may need investigation');
+    } else if (result.reason === 'delivery_failed') {
+      console.log('\n⚠️  Delivery failed - check the gateway');
+    } else if (result.reason === 'outbox_stuck') {
+      console.log('\n⚠️  Outbox stuck - run: node fetch-news.js send-pending');
+    } else {
+      console.log('\n❌ Unhealthy');
+    }
     process.exit(1);
   }
-}
-
-process.exit(0);
+  
+  process.exit(0);
+}).catch(error => {
+  console.error(`Watchdog error: ${error.message}`);
+  process.exit(2);
+});